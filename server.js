@@ -2,6 +2,14 @@ const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
 const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { PlayerMovement } = require('./src/movement.js');
+const { NetworkCodec } = require('./src/codec.js');
+const { TargetMotion } = require('./src/target-motion.js');
+const { Hitboxes } = require('./src/hitboxes.js');
+const TARGET_TYPES = require('./src/target-types.json'); // Shared with the client's TargetManager
+const WEAPON_DATA = require('./src/weapons.json'); // Shared with the client's Weapon inventory
 
 const app = express();
 const server = http.createServer(app);
@@ -15,223 +23,1898 @@ const io = socketIo(server, {
 // Serve static files
 app.use(express.static(path.join(__dirname)));
 
-// Game state
-const gameState = {
-    players: {},
-    targets: new Map(), // Use Map for faster target lookups by ID
-    gameTime: 0,
-    nextTargetId: 1
-};
-
 // Target management
 class ServerTarget {
     constructor(id, position, options = {}) {
         this.id = id;
-        this.position = position;
-        this.rotation = options.rotation || { x: 0, y: Math.random() * Math.PI * 2, z: 0 };
+        this.position = { x: position.x, y: position.y, z: position.z };
+        this.motion = TargetMotion.create(options.movement, position); // Advanced by the room tick
+        this.rotation = options.rotation || { x: 0, y: this.motion.yaw, z: 0 };
         this.scale = options.scale || 5;
         this.health = options.health || 100;
         this.maxHealth = this.health;
         this.points = options.points || 10;
+        this.type = options.type || 'standard';
+        this.hitRadius = options.hitRadius || HIT_VALIDATION.targetHitRadius;
         this.createdAt = Date.now();
         this.isAlive = true;
     }
 
+    // Move along the target's pattern to where it is at this room time (seconds)
+    advance(time) {
+        const sample = TargetMotion.sample(this.motion, time);
+        this.position = sample.position;
+        this.rotation.y = sample.yaw;
+    }
+
     takeDamage(damage) {
         this.health = Math.max(0, this.health - damage);
         if (this.health <= 0) {
             this.isAlive = false;
         }
-        return this.health <= 0; // Returns true if target is destroyed
+        return this.health <= 0; // Returns true if target is destroyed
+    }
+
+    toNetworkData() {
+        return {
+            id: this.id,
+            position: this.position,
+            rotation: this.rotation,
+            scale: this.scale,
+            health: this.health,
+            maxHealth: this.maxHealth,
+            points: this.points,
+            type: this.type,
+            isAlive: this.isAlive
+        };
+    }
+}
+
+// Random value in a [min, max] range from target-types.json (plain numbers are used as-is)
+function rollRange(range, integer = false) {
+    if (!Array.isArray(range)) return range;
+    const [min, max] = range;
+    return integer ? min + Math.floor(Math.random() * (max - min + 1)) : min + Math.random() * (max - min);
+}
+
+// Pick a target type from a weighted spawn table and roll its stats
+function rollTargetOptions(tableName) {
+    const table = TARGET_TYPES.spawnTables[tableName] || {};
+    const entries = Object.entries(table).filter(([typeId]) => TARGET_TYPES.types[typeId]);
+    const totalWeight = entries.reduce((sum, [, weight]) => sum + weight, 0);
+
+    let typeId = 'standard';
+    let roll = Math.random() * totalWeight;
+    for (const [candidate, weight] of entries) {
+        roll -= weight;
+        if (roll < 0) {
+            typeId = candidate;
+            break;
+        }
+    }
+
+    const type = TARGET_TYPES.types[typeId];
+    return {
+        type: typeId,
+        scale: rollRange(type.scale),
+        health: rollRange(type.health),
+        points: rollRange(type.points, true),
+        hitRadius: type.hitRadius,
+        movement: type.movement
+    };
+}
+
+// Game constants
+const TICK_RATE = 60; // Server updates per second
+const TICK_INTERVAL = 1000 / TICK_RATE;
+
+// Room settings
+const DEFAULT_ROOM_NAME = 'Main';
+const MAX_ROOM_NAME_LENGTH = 24;
+const MAX_PLAYER_NAME_LENGTH = 20; // Same limit as LoadingScreen.getPlayerName
+const ROOM_EMPTY_TIMEOUT = 60000; // Remove empty rooms after 1 minute
+const ROOM_GC_INTERVAL = 10000;
+
+// Match settings (durations in seconds can be overridden with environment variables)
+const MATCH_CONFIG = {
+    warmupDuration: (parseInt(process.env.MATCH_WARMUP, 10) || 15) * 1000,
+    matchDuration: (parseInt(process.env.MATCH_DURATION, 10) || 300) * 1000,
+    overtimeDuration: (parseInt(process.env.MATCH_OVERTIME, 10) || 60) * 1000,
+    resultsDuration: (parseInt(process.env.MATCH_RESULTS, 10) || 10) * 1000,
+    scoreLimit: parseInt(process.env.MATCH_SCORE_LIMIT, 10) || 500
+};
+
+// Per-weapon stats (damage, fire rate, pellets, range) come from src/weapons.json, the same
+// file the client's inventory loads. Every shot says which weapon fired it.
+const WEAPON_CONFIG = {
+    bulletLifetime: 3.0 // Same for every weapon - must match Weapon.bulletLifetime in src/weapon.js
+};
+
+function getWeaponDefinition(weaponId) {
+    return WEAPON_DATA.weapons[weaponId] || WEAPON_DATA.weapons[WEAPON_DATA.defaultWeapon];
+}
+
+const RELOAD_STATES = ['start', 'cancel', 'finish'];
+
+// Matrix of a glTF node given as translation, rotation (quaternion) and scale
+function composeNodeMatrix(node) {
+    const [tx, ty, tz] = node.translation || [0, 0, 0];
+    const [x, y, z, w] = node.rotation || [0, 0, 0, 1];
+    const [sx, sy, sz] = node.scale || [1, 1, 1];
+    return [
+        (1 - 2 * (y * y + z * z)) * sx, (2 * (x * y + z * w)) * sx, (2 * (x * z - y * w)) * sx, 0,
+        (2 * (x * y - z * w)) * sy, (1 - 2 * (x * x + z * z)) * sy, (2 * (y * z + x * w)) * sy, 0,
+        (2 * (x * z + y * w)) * sz, (2 * (y * z - x * w)) * sz, (1 - 2 * (x * x + y * y)) * sz, 0,
+        tx, ty, tz, 1
+    ];
+}
+
+// Bounds of every mesh in a .glb file in the model's own space: [{ name, min, max }]. The client
+// gets the same boxes from the meshes of the loaded model (rest pose, morph targets ignored).
+function readModelMeshBounds(file) {
+    const data = fs.readFileSync(file);
+    const jsonLength = data.readUInt32LE(12);
+    const gltf = JSON.parse(data.toString('utf8', 20, 20 + jsonLength));
+    const bounds = [];
+
+    const visit = (nodeIndex, parentMatrix) => {
+        const node = gltf.nodes[nodeIndex];
+        const matrix = Hitboxes.multiplyMatrices(parentMatrix, node.matrix || composeNodeMatrix(node));
+
+        if (node.mesh !== undefined) {
+            // Position accessors carry their own min/max, so no need to read the vertices
+            const min = [Infinity, Infinity, Infinity];
+            const max = [-Infinity, -Infinity, -Infinity];
+            gltf.meshes[node.mesh].primitives.forEach(primitive => {
+                const accessor = gltf.accessors[primitive.attributes.POSITION];
+                for (let axis = 0; axis < 3; axis++) {
+                    min[axis] = Math.min(min[axis], accessor.min[axis]);
+                    max[axis] = Math.max(max[axis], accessor.max[axis]);
+                }
+            });
+            bounds.push({ name: node.name || gltf.meshes[node.mesh].name || '', ...Hitboxes.transformBounds(matrix, min, max) });
+        }
+
+        (node.children || []).forEach(child => visit(child, matrix));
+    };
+
+    const identity = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+    gltf.scenes[gltf.scene || 0].nodes.forEach(nodeIndex => visit(nodeIndex, identity));
+    return bounds;
+}
+
+// Head/body boxes of the cat model, split the same way the client splits them (target-types.json)
+let TARGET_HITBOXES = [];
+try {
+    TARGET_HITBOXES = Hitboxes.build(
+        readModelMeshBounds(path.join(__dirname, 'models', 'oiia_cat.glb')),
+        TARGET_TYPES.hitZones,
+        TARGET_TYPES.hitboxRegions
+    );
+} catch (error) {
+    console.warn('⚠️ Could not read target hitboxes, every target hit counts as a body hit:', error.message);
+}
+
+// Hit validation tolerances
+const HIT_VALIDATION = {
+    targetHitRadius: 3, // Default radius, target types set their own hitRadius (same one the client's collider uses)
+    radiusTolerance: 1.0, // Slack for the client-side bobbing animation
+    maxMuzzleDistance: 5, // Max distance between player position and reported muzzle
+    shotHistoryMs: (WEAPON_CONFIG.bulletLifetime + 1) * 1000, // How long a shot can still score a hit
+    zoneTolerance: 0.3, // World units a shot may miss a reported hit zone by
+    fireBudget: 1.5 // Seconds of firing a player can bank, allows bursts caused by network jitter
+};
+
+// Lag compensation - hits are checked against where things were when the shooter saw them
+const LAG_COMPENSATION = {
+    maxRewindMs: parseInt(process.env.LAG_COMPENSATION_MAX_REWIND, 10) || 500, // Never rewind further than this
+    defaultInterpolationDelay: 100, // Matches the client's remote player interpolation delay
+    maxInterpolationDelay: 250,
+    latencyCheckInterval: 2000, // How often the server measures each client's round trip time
+    latencyCheckTimeout: 5000
+};
+
+// Server-side movement simulation of client inputs
+const MOVEMENT_LIMITS = {
+    maxInputsPerMessage: 60, // Older inputs in a bigger batch are dropped
+    maxTimeBudget: 1000, // ms of simulation a client may bank (covers network jitter)
+    timeTolerance: 1.1 // Allow clients to run slightly fast
+};
+
+// Per-client gameUpdate snapshots: delta compression and interest management
+const NETWORK_CONFIG = {
+    positionPrecision: 100, // Other players' positions are sent in centimeters
+    rotationPrecision: 1000, // ...and rotations in milliradians
+    farDistance: 60, // Players further away are updated at a reduced rate
+    farUpdateInterval: 3, // Ticks between updates (20Hz)
+    veryFarDistance: 120,
+    veryFarUpdateInterval: 6, // 10Hz
+    snapshotHistory: 120, // Sent snapshots kept per client while waiting for an ack
+    targetUpdateInterval: 3, // Ticks between target positions in snapshots (20Hz, clients interpolate)
+    bandwidthLogInterval: 10000
+};
+
+// Disconnected players are kept this long so a reconnecting client can resume them
+const SESSION_CONFIG = {
+    gracePeriod: (parseInt(process.env.SESSION_GRACE_PERIOD, 10) || 30) * 1000
+};
+
+// Per-socket token buckets for incoming events: up to `burst` at once, refilled at `rate` per second
+const RATE_LIMITS = {
+    joinRoom: { rate: 1, burst: 5 },
+    clockPing: { rate: 4, burst: 10 }, // Clients ping once a second
+    playerInput: { rate: 40, burst: 80 }, // Clients send 20 per second
+    playerShoot: { rate: 20, burst: 30 }, // The rifle fires 10 per second, a shotgun blast is 8 pellets
+    playerReload: { rate: 3, burst: 6 }, // Start plus finish or cancel, a couple of times a second at most
+    targetHit: { rate: 20, burst: 40 },
+    playerHit: { rate: 20, burst: 40 },
+    debugInfo: { rate: 2, burst: 10 },
+    debugSpawnTarget: { rate: 0.2, burst: 3 }
+};
+
+// Clients that keep sending malformed, unknown or rate-limited events are disconnected
+const ABUSE_CONFIG = {
+    maxViolations: 50,
+    violationWindow: 10000,
+    maxDebugTargets: 30 // debugSpawnTarget is refused once a room has this many targets
+};
+
+// Team mode - players are split into these teams
+const TEAMS = ['red', 'blue'];
+
+// Player-versus-player settings (only used in rooms created with PvP enabled)
+const PVP_CONFIG = {
+    maxHealth: 100,
+    // Same shapes as the RemotePlayer mesh (body cylinder, head sphere) around the player's position
+    hitboxes: [
+        { zone: 'head', min: [-0.25, 0.7, -0.25], max: [0.25, 1.2, 0.25] },
+        { zone: 'body', min: [-0.3, -0.7, -0.3], max: [0.3, 0.7, 0.3] }
+    ],
+    hitZones: {
+        head: { multiplier: 2 },
+        body: { multiplier: 1 }
+    },
+    respawnDelay: 3000,
+    killPoints: 50,
+    spawnPoints: [
+        { x: 0, y: 1.6, z: 5 },
+        { x: -15, y: 1.6, z: 0 },
+        { x: 15, y: 1.6, z: 0 },
+        { x: -10, y: 1.6, z: -20 },
+        { x: 10, y: 1.6, z: -20 },
+        { x: 0, y: 1.6, z: -35 }
+    ]
+};
+// Sphere around all the hitboxes - the client works out its remote player collider radius the same way
+PVP_CONFIG.playerHitRadius = Hitboxes.getRadius(PVP_CONFIG.hitboxes);
+
+// Distance from a point to a ray (origin + direction * t, t >= 0)
+function distanceFromRay(origin, direction, point) {
+    const toPoint = {
+        x: point.x - origin.x,
+        y: point.y - origin.y,
+        z: point.z - origin.z
+    };
+    const along = Math.max(0, toPoint.x * direction.x + toPoint.y * direction.y + toPoint.z * direction.z);
+    const closest = {
+        x: origin.x + direction.x * along,
+        y: origin.y + direction.y * along,
+        z: origin.z + direction.z * along
+    };
+    const dx = point.x - closest.x;
+    const dy = point.y - closest.y;
+    const dz = point.z - closest.z;
+
+    return {
+        distance: Math.sqrt(dx * dx + dy * dy + dz * dz),
+        along: along
+    };
+}
+
+// The zone a client reported if the shot's path really goes through it, otherwise body.
+// Boxes are in the entity's own space, placed at `position`, turned `yaw` and scaled by `scale`.
+function confirmHitZone(reportedZone, shot, boxes, position, yaw = 0, scale = 1) {
+    if (!reportedZone || reportedZone === 'body') return 'body';
+
+    const zoneBoxes = boxes.filter(box => box.zone === reportedZone);
+    if (zoneBoxes.length === 0) return 'body';
+
+    const range = getWeaponDefinition(shot.weapon).range;
+    const end = {
+        x: shot.position.x + shot.direction.x * range,
+        y: shot.position.y + shot.direction.y * range,
+        z: shot.position.z + shot.direction.z * range
+    };
+    const hit = Hitboxes.intersectSegment(
+        zoneBoxes,
+        Hitboxes.toLocal(shot.position, position, yaw, scale),
+        Hitboxes.toLocal(end, position, yaw, scale),
+        HIT_VALIDATION.zoneTolerance / scale
+    );
+    return hit ? reportedZone : 'body';
+}
+
+// Ring buffer of per-tick positions of every player and target in a room
+class PositionHistory {
+    constructor(capacity) {
+        this.entries = new Array(capacity);
+        this.capacity = capacity;
+        this.head = 0; // Next slot to write
+        this.size = 0;
+    }
+
+    record(time, players, targets) {
+        const positions = new Map();
+        Object.values(players).forEach(player => {
+            positions.set(player.id, { ...player.position });
+        });
+        targets.forEach(target => {
+            positions.set(`target:${target.id}`, { ...target.position, yaw: target.rotation.y });
+        });
+
+        this.entries[this.head] = { time, positions };
+        this.head = (this.head + 1) % this.capacity;
+        this.size = Math.min(this.size + 1, this.capacity);
+    }
+
+    // Entry i, oldest first
+    get(i) {
+        return this.entries[(this.head - this.size + i + this.capacity) % this.capacity];
+    }
+
+    // Interpolated position of an entity at a past time, or null if we have no record of it
+    sample(key, time) {
+        let after = null;
+        for (let i = this.size - 1; i >= 0; i--) {
+            const entry = this.get(i);
+            const position = entry.positions.get(key);
+            if (!position) continue;
+
+            if (entry.time <= time) {
+                if (!after) return position;
+                const alpha = (time - entry.time) / (after.time - entry.time);
+                const sample = {
+                    x: position.x + (after.position.x - position.x) * alpha,
+                    y: position.y + (after.position.y - position.y) * alpha,
+                    z: position.z + (after.position.z - position.z) * alpha
+                };
+                if (position.yaw !== undefined) {
+                    const yawDelta = Math.atan2(Math.sin(after.position.yaw - position.yaw), Math.cos(after.position.yaw - position.yaw));
+                    sample.yaw = position.yaw + yawDelta * alpha;
+                }
+                return sample;
+            }
+            after = { time: entry.time, position };
+        }
+        return after ? after.position : null; // Older than our history, use the oldest record
+    }
+}
+
+// Snapshot record of a player for one client. Vectors become arrays, quantized unless
+// it is the client's own player (which needs exact values for prediction replay).
+function toSnapshotRecord(player, precise) {
+    const record = player.toNetworkData();
+    const quantize = (value, precision) => {
+        const number = Number(value) || 0;
+        return precise ? number : Math.round(number * precision);
+    };
+    const { positionPrecision, rotationPrecision } = NETWORK_CONFIG;
+
+    record.n = player.netId;
+    record.position = ['x', 'y', 'z'].map(axis => quantize(record.position[axis], positionPrecision));
+    record.rotation = ['x', 'y'].map(axis => quantize(record.rotation[axis], rotationPrecision));
+    record.velocity = ['x', 'y', 'z'].map(axis => quantize(record.velocity[axis], positionPrecision));
+    return record;
+}
+
+// Quantized position and facing of a moving target for gameUpdate snapshots
+function toTargetSnapshot(target) {
+    const { positionPrecision, rotationPrecision } = NETWORK_CONFIG;
+    const yaw = Math.atan2(Math.sin(target.rotation.y), Math.cos(target.rotation.y)); // Keep it in -PI..PI
+    return {
+        id: target.id,
+        position: ['x', 'y', 'z'].map(axis => Math.round(target.position[axis] * positionPrecision)),
+        yaw: Math.round(yaw * rotationPrecision)
+    };
+}
+
+// Only the fields that differ from what the client already has (everything if it has nothing)
+function diffSnapshotRecord(record, baseline) {
+    const delta = { n: record.n };
+    Object.keys(record).forEach(key => {
+        const value = record[key];
+        const previous = baseline ? baseline[key] : undefined;
+        const unchanged = Array.isArray(value)
+            ? Array.isArray(previous) && value.every((v, i) => v === previous[i])
+            : value === previous;
+        if (!unchanged) {
+            delta[key] = value;
+        }
+    });
+    return delta;
+}
+
+function normalizeVector(vector) {
+    const length = Math.sqrt(vector.x * vector.x + vector.y * vector.y + vector.z * vector.z);
+    if (!length) return null;
+    return { x: vector.x / length, y: vector.y / length, z: vector.z / length };
+}
+
+// Player management
+class ServerPlayer {
+    constructor(id) {
+        this.id = id;
+        this.name = 'Guest'; // Default name, will be updated by client
+        this.team = null; // 'red' or 'blue' in team mode rooms
+        this.joinedAt = Date.now();
+        this.socketId = id; // Changes when a reconnecting client resumes this player
+        this.sessionToken = null;
+        this.disconnectedAt = null;
+        this.graceTimer = null;
+        this.position = { x: 0, y: 1.6, z: 5 }; // Match client starting position
+        this.rotation = { x: 0, y: 0 };
+        this.velocity = { x: 0, y: 0, z: 0 };
+        this.health = PVP_CONFIG.maxHealth;
+        this.maxHealth = PVP_CONFIG.maxHealth;
+        this.isAlive = true;
+        this.respawnAt = 0;
+        this.isMoving = false;
+        this.isCrouching = false;
+        this.isRunning = false;
+        this.lastUpdate = Date.now();
+
+        // Lag compensation: how far in the past this player sees the world
+        this.rtt = 0;
+        this.interpolationDelay = LAG_COMPENSATION.defaultInterpolationDelay;
+
+        // Delta snapshots sent to this client (room-local id keeps entries small)
+        this.codec = 'json'; // 'binary' if the client negotiated NetworkCodec at connect
+        this.netId = 0;
+        this.nextSnapshotId = 1;
+        this.ackedSnapshotId = 0;
+        this.sentSnapshots = new Map(); // snapshotId -> Map(netId -> record)
+        this.bytesSent = 0;
+
+        // Movement simulation state
+        this.canJump = false;
+        this.lastInputSeq = 0; // Last client input applied, echoed back for reconciliation
+        this.moveTimeBudget = 0; // Simulated time (ms) the client is still allowed to use
+        this.rejectedInputs = 0;
+
+        // Hit validation state
+        this.recentShots = []; // Shots that may still score a hit
+        this.fireBudget = new TokenBucket(1, HIT_VALIDATION.fireBudget); // Seconds of fire time
+        this.rejectedShots = 0;
+        this.rejectedHits = 0;
+
+        // Match stats (reset at the start of every match)
+        this.resetStats();
+    }
+
+    resetStats() {
+        this.score = 0;
+        this.kills = 0;
+        this.playerKills = 0;
+        this.deaths = 0;
+        this.shotsFired = 0;
+        this.hits = 0;
+    }
+
+    // Returns true if this damage killed the player
+    takeDamage(amount) {
+        if (!this.isAlive) return false;
+
+        this.health = Math.max(0, this.health - amount);
+        if (this.health === 0) {
+            this.isAlive = false;
+            this.deaths++;
+            this.respawnAt = Date.now() + PVP_CONFIG.respawnDelay;
+            return true;
+        }
+        return false;
+    }
+
+    respawn(spawnPoint) {
+        this.health = this.maxHealth;
+        this.isAlive = true;
+        this.respawnAt = 0;
+        this.position = { ...spawnPoint };
+        this.velocity = { x: 0, y: 0, z: 0 };
+        this.lastUpdate = Date.now();
+        this.recentShots = [];
+    }
+
+    getAccuracy() {
+        return this.shotsFired > 0 ? Math.round((this.hits / this.shotsFired) * 1000) / 10 : 0; // Percent, 1 decimal
+    }
+
+    // Record a shot from the client, enforcing the weapon fire rate
+    recordShot(shootData) {
+        const now = Date.now();
+        this.recentShots = this.recentShots.filter(shot => now - shot.timestamp <= HIT_VALIDATION.shotHistoryMs);
+
+        if (!shootData || !shootData.position || !shootData.direction) {
+            return { accepted: false, reason: 'missing shot data' };
+        }
+
+        if (!this.isAlive) {
+            return { accepted: false, reason: 'player is dead' };
+        }
+
+        const direction = normalizeVector(shootData.direction);
+        if (!direction) {
+            return { accepted: false, reason: 'invalid direction' };
+        }
+
+        // Reject shots fired from somewhere the player isn't
+        const dx = shootData.position.x - this.position.x;
+        const dy = shootData.position.y - this.position.y;
+        const dz = shootData.position.z - this.position.z;
+        const muzzleDistance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+        if (muzzleDistance > HIT_VALIDATION.maxMuzzleDistance) {
+            return { accepted: false, reason: `muzzle ${muzzleDistance.toFixed(1)} units from player` };
+        }
+
+        // Every shot costs the weapon's time between shots (split across shotgun pellets),
+        // so switching weapons can't beat the fire rate of either
+        const weaponId = WEAPON_DATA.weapons[shootData.weapon] ? shootData.weapon : WEAPON_DATA.defaultWeapon;
+        const weapon = getWeaponDefinition(weaponId);
+        if (!this.fireBudget.take(weapon.fireRate / (weapon.pellets || 1))) {
+            return { accepted: false, reason: `fire rate exceeded (${weaponId})` };
+        }
+
+        this.recentShots.push({
+            position: { x: shootData.position.x, y: shootData.position.y, z: shootData.position.z },
+            direction: direction,
+            weapon: weaponId,
+            timestamp: now,
+            consumed: false
+        });
+
+        return { accepted: true };
+    }
+
+    // Time the world was at on this player's screen when a message from them arrives
+    getViewTime(now = Date.now()) {
+        const rewind = Math.min(this.rtt + this.interpolationDelay, LAG_COMPENSATION.maxRewindMs);
+        return now - rewind;
+    }
+
+    recordLatency(rtt) {
+        this.rtt = this.rtt ? this.rtt * 0.8 + rtt * 0.2 : rtt; // Smooth out jitter
+    }
+
+    // Find an unused recent shot whose path passes through the target
+    // (targetPosition lets the caller check against a rewound position)
+    consumeShotHitting(target, targetRadius = HIT_VALIDATION.targetHitRadius, targetPosition = target.position) {
+        const now = Date.now();
+        const hitRadius = targetRadius + HIT_VALIDATION.radiusTolerance;
+
+        const shot = this.recentShots.find(shot => {
+            if (shot.consumed || now - shot.timestamp > HIT_VALIDATION.shotHistoryMs) return false;
+
+            const result = distanceFromRay(shot.position, shot.direction, targetPosition);
+            return result.distance <= hitRadius && result.along <= getWeaponDefinition(shot.weapon).range;
+        });
+
+        if (shot) {
+            shot.consumed = true;
+        }
+        return shot || null;
+    }
+
+    update(inputData) {
+        if (Array.isArray(inputData.inputs)) {
+            this.applyInputs(inputData.inputs);
+        }
+
+        if (inputData.rotation) {
+            this.rotation = inputData.rotation;
+        }
+
+        // Update player name if provided
+        const name = sanitizePlayerName(inputData.name);
+        if (name && name !== this.name) {
+            console.log(`Player ${this.id.slice(-4)} name updated: "${this.name}" -> "${name}"`);
+            this.name = name;
+        }
+
+        this.isMoving = inputData.isMoving || false;
+        this.isCrouching = inputData.isCrouching || false;
+        this.isRunning = inputData.isRunning || false;
+    }
+
+    // A resumed client starts over with a full snapshot and a fresh input sequence
+    resetNetworkState() {
+        this.ackedSnapshotId = 0;
+        this.sentSnapshots.clear();
+        this.lastInputSeq = 0;
+        this.moveTimeBudget = 0;
+        this.lastUpdate = Date.now();
+    }
+
+    // The client has decoded this snapshot, future deltas can be based on it
+    acknowledgeSnapshot(snapshotId) {
+        if (!Number.isInteger(snapshotId) || snapshotId <= this.ackedSnapshotId) return;
+        if (!this.sentSnapshots.has(snapshotId)) return;
+
+        this.ackedSnapshotId = snapshotId;
+        this.sentSnapshots.forEach((records, id) => {
+            if (id < snapshotId) {
+                this.sentSnapshots.delete(id);
+            }
+        });
+    }
+
+    // Run the client's movement inputs through the shared movement model
+    applyInputs(inputs) {
+        const now = Date.now();
+        this.moveTimeBudget = Math.min(
+            this.moveTimeBudget + (now - this.lastUpdate) * MOVEMENT_LIMITS.timeTolerance,
+            MOVEMENT_LIMITS.maxTimeBudget
+        );
+        this.lastUpdate = now;
+
+        inputs.slice(-MOVEMENT_LIMITS.maxInputsPerMessage).forEach(input => {
+            if (!input || !Number.isInteger(input.seq) || input.seq <= this.lastInputSeq) return;
+            this.lastInputSeq = input.seq;
+
+            // Dead players can't move, their inputs are just acknowledged
+            if (!this.isAlive) return;
+
+            // Reject frames the client couldn't have had time for (speed hacks)
+            const frameTime = (Number(input.dt) || 0) * 1000;
+            if (!(frameTime >= 0) || frameTime > this.moveTimeBudget) {
+                this.rejectedInputs++;
+                return;
+            }
+            this.moveTimeBudget -= frameTime;
+
+            PlayerMovement.step(this, input);
+            if (Number.isFinite(input.rotationX) && Number.isFinite(input.rotationY)) {
+                this.rotation = { x: input.rotationX, y: input.rotationY };
+            }
+        });
+    }
+
+    toNetworkData() {
+        return {
+            id: this.id,
+            name: this.name,
+            team: this.team,
+            position: this.position,
+            rotation: this.rotation,
+            velocity: this.velocity,
+            canJump: this.canJump,
+            lastInputSeq: this.lastInputSeq,
+            health: this.health,
+            maxHealth: this.maxHealth,
+            isAlive: this.isAlive,
+            score: this.score,
+            kills: this.kills,
+            playerKills: this.playerKills,
+            deaths: this.deaths,
+            shotsFired: this.shotsFired,
+            hits: this.hits,
+            accuracy: this.getAccuracy(),
+            isMoving: this.isMoving,
+            isCrouching: this.isCrouching,
+            isRunning: this.isRunning
+        };
+    }
+}
+
+// Persistent leaderboard - per-name totals plus a week of match results for day/week rankings
+const LEADERBOARD_FILE = process.env.LEADERBOARD_FILE || path.join(__dirname, 'data', 'leaderboard.json');
+const LEADERBOARD_PERIODS = {
+    day: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000,
+    all: Infinity
+};
+const LEADERBOARD_SIZE = 20;
+
+class LeaderboardStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.players = {}; // name -> all-time totals
+        this.recentMatches = []; // Match results from the last week
+        this.isSaving = false;
+        this.saveQueued = false;
+        this.load();
+    }
+
+    load() {
+        try {
+            if (!fs.existsSync(this.filePath)) {
+                console.log(`🏆 No leaderboard file yet, will create ${this.filePath}`);
+                return;
+            }
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            this.players = data.players || {};
+            this.recentMatches = data.recentMatches || [];
+            console.log(`🏆 Loaded leaderboard: ${Object.keys(this.players).length} players, ${this.recentMatches.length} recent matches`);
+        } catch (error) {
+            console.error('❌ Could not load leaderboard, starting empty:', error.message);
+        }
+    }
+
+    // Write to a temp file and rename so a crash never leaves a half-written file
+    async save() {
+        if (this.isSaving) {
+            this.saveQueued = true;
+            return;
+        }
+
+        this.isSaving = true;
+        try {
+            const tempPath = `${this.filePath}.tmp`;
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.promises.writeFile(tempPath, JSON.stringify({
+                players: this.players,
+                recentMatches: this.recentMatches
+            }));
+            await fs.promises.rename(tempPath, this.filePath);
+        } catch (error) {
+            console.error('❌ Could not save leaderboard:', error.message);
+        } finally {
+            this.isSaving = false;
+            if (this.saveQueued) {
+                this.saveQueued = false;
+                this.save();
+            }
+        }
+    }
+
+    // Store the final stats of every player who took part in a match
+    recordMatch(roomName, players) {
+        const now = Date.now();
+        let recorded = 0;
+
+        players.forEach(player => {
+            if (player.shotsFired === 0 && player.score === 0) return; // Didn't play
+
+            const totals = this.players[player.name] || {
+                bestScore: 0,
+                kills: 0,
+                hits: 0,
+                shotsFired: 0,
+                matches: 0
+            };
+            totals.bestScore = Math.max(totals.bestScore, player.score);
+            totals.kills += player.kills;
+            totals.hits += player.hits;
+            totals.shotsFired += player.shotsFired;
+            totals.matches++;
+            totals.lastPlayed = now;
+            this.players[player.name] = totals;
+
+            this.recentMatches.push({
+                name: player.name,
+                room: roomName,
+                score: player.score,
+                kills: player.kills,
+                hits: player.hits,
+                shotsFired: player.shotsFired,
+                timestamp: now
+            });
+            recorded++;
+        });
+
+        if (recorded === 0) return;
+
+        // Day/week rankings never need anything older than a week
+        this.recentMatches = this.recentMatches.filter(match => now - match.timestamp <= LEADERBOARD_PERIODS.week);
+
+        console.log(`🏆 Recorded ${recorded} players from room "${roomName}" to the leaderboard`);
+        this.save();
+    }
+
+    getLeaderboard(period = 'all') {
+        let totals = this.players;
+
+        if (period !== 'all') {
+            // Aggregate recent matches within the period
+            const since = Date.now() - LEADERBOARD_PERIODS[period];
+            totals = {};
+            this.recentMatches
+                .filter(match => match.timestamp >= since)
+                .forEach(match => {
+                    const entry = totals[match.name] || { bestScore: 0, kills: 0, hits: 0, shotsFired: 0, matches: 0 };
+                    entry.bestScore = Math.max(entry.bestScore, match.score);
+                    entry.kills += match.kills;
+                    entry.hits += match.hits;
+                    entry.shotsFired += match.shotsFired;
+                    entry.matches++;
+                    totals[match.name] = entry;
+                });
+        }
+
+        return Object.entries(totals)
+            .map(([name, entry]) => ({
+                name: name,
+                bestScore: entry.bestScore,
+                kills: entry.kills,
+                matches: entry.matches,
+                accuracy: entry.shotsFired > 0 ? Math.round((entry.hits / entry.shotsFired) * 1000) / 10 : 0
+            }))
+            .sort((a, b) => b.bestScore - a.bestScore || b.kills - a.kills)
+            .slice(0, LEADERBOARD_SIZE);
+    }
+}
+
+const leaderboard = new LeaderboardStore(LEADERBOARD_FILE);
+
+// Room management - each room is an independent match with its own state and tick loop
+class GameRoom {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.passwordHash = options.password ? hashPassword(options.password) : null;
+        this.isPersistent = options.isPersistent || false; // Persistent rooms are never garbage-collected
+        this.pvp = options.pvp || false; // Players can shoot each other (otherwise targets only)
+        this.teamMode = options.teamMode || false; // Red vs Blue with a shared team score
+        this.friendlyFire = options.friendlyFire || false; // Only matters with both PvP and teams
+        this.teamScores = { red: 0, blue: 0 };
+        this.players = {};
+        this.targets = new Map(); // Use Map for faster target lookups by ID
+        this.gameTime = 0;
+        this.nextTargetId = 1;
+        this.createdAt = Date.now();
+        this.emptySince = Date.now();
+        this.updateCount = 0;
+        this.tickTimer = null;
+        this.targetCheckTimer = null;
+        this.isClosed = false;
+        this.positionHistory = new PositionHistory(Math.ceil(LAG_COMPENSATION.maxRewindMs / TICK_INTERVAL) + 2);
+        this.nextNetId = 1;
+        this.lastBandwidthLog = Date.now();
+
+        // Match lifecycle: warmup -> live -> overtime -> results -> warmup
+        this.matchConfig = { ...MATCH_CONFIG, ...options.match };
+        this.matchPhase = 'warmup';
+        this.matchNumber = 0;
+        this.phaseEndsAt = Date.now() + this.matchConfig.warmupDuration;
+        this.matchWinner = null;
+        this.matchWinningTeam = null;
+    }
+
+    get channel() {
+        return `room:${this.name}`;
+    }
+
+    get playerCount() {
+        return Object.keys(this.players).length;
+    }
+
+    hasPassword() {
+        return this.passwordHash !== null;
+    }
+
+    checkPassword(password) {
+        return !this.hasPassword() || (typeof password === 'string' && hashPassword(password) === this.passwordHash);
+    }
+
+    // Broadcast an event to everyone in this room
+    emit(event, data) {
+        io.to(this.channel).emit(event, data);
+    }
+
+    start() {
+        this.spawnInitialTargets();
+
+        // Game loop - send updates to all clients in this room
+        this.tickTimer = setInterval(() => this.tick(), TICK_INTERVAL);
+
+        // Periodic check to ensure targets always exist
+        this.targetCheckTimer = setInterval(() => {
+            if (this.targets.size === 0) {
+                console.log(`⚠️ Room "${this.name}" has no targets! Respawning initial targets...`);
+                this.spawnInitialTargets();
+            }
+        }, 30000); // Check every 30 seconds
+
+        console.log(`🏠 Room "${this.name}" started${this.hasPassword() ? ' (password protected)' : ''}`);
+    }
+
+    stop() {
+        this.isClosed = true;
+        clearInterval(this.tickTimer);
+        clearInterval(this.targetCheckTimer);
+        console.log(`🏠 Room "${this.name}" closed`);
+    }
+
+    addPlayer(player) {
+        // First player in an idle room restarts the warmup countdown
+        if (this.playerCount === 0 && this.matchPhase === 'warmup') {
+            this.phaseEndsAt = Date.now() + this.matchConfig.warmupDuration;
+        }
+
+        if (this.teamMode) {
+            player.team = this.pickTeam();
+            console.log(`🎽 ${player.id} joins team ${player.team} in room "${this.name}"`);
+        }
+
+        player.netId = this.nextNetId++;
+        this.players[player.id] = player;
+        this.emptySince = null;
+    }
+
+    removePlayer(playerId) {
+        delete this.players[playerId];
+        if (this.playerCount === 0) {
+            this.emptySince = Date.now();
+        }
+
+        if (this.teamMode) {
+            this.balanceTeams();
+        }
+    }
+
+    getTeamMembers(team) {
+        return Object.values(this.players).filter(p => p.team === team);
+    }
+
+    // Smaller team first, then the team that is behind
+    pickTeam() {
+        const [red, blue] = TEAMS.map(team => this.getTeamMembers(team).length);
+        if (red !== blue) return red < blue ? 'red' : 'blue';
+        if (this.teamScores.red !== this.teamScores.blue) {
+            return this.teamScores.red < this.teamScores.blue ? 'red' : 'blue';
+        }
+        return TEAMS[Math.floor(Math.random() * TEAMS.length)];
+    }
+
+    // After someone leaves, move the newest players over until teams differ by at most one
+    balanceTeams() {
+        let red = this.getTeamMembers('red');
+        let blue = this.getTeamMembers('blue');
+
+        while (Math.abs(red.length - blue.length) > 1) {
+            const [bigger, smallerTeam] = red.length > blue.length ? [red, 'blue'] : [blue, 'red'];
+            const mover = bigger.sort((a, b) => b.joinedAt - a.joinedAt)[0];
+            mover.team = smallerTeam;
+
+            console.log(`🎽 Auto-balance: ${mover.name} moved to team ${smallerTeam} in room "${this.name}"`);
+            this.emit('teamChanged', { playerId: mover.id, team: mover.team });
+
+            red = this.getTeamMembers('red');
+            blue = this.getTeamMembers('blue');
+        }
+    }
+
+    // Points from target kills go to the shooter's team
+    addTeamScore(player, points) {
+        if (!this.teamMode || !player.team) return;
+
+        this.teamScores[player.team] += points;
+        this.emit('teamScore', { teamScores: this.teamScores });
+    }
+
+    // Leading team, or null when tied
+    getWinningTeam() {
+        if (this.teamScores.red === this.teamScores.blue) return null;
+        return this.teamScores.red > this.teamScores.blue ? 'red' : 'blue';
+    }
+
+    // Team members never damage each other unless friendly fire is on
+    canDamage(attacker, victim) {
+        return this.friendlyFire || !this.teamMode || attacker.team !== victim.team;
+    }
+
+    // Initialize some targets
+    spawnInitialTargets() {
+        console.log(`🎯 Spawning initial targets in room "${this.name}"...`);
+
+        const positions = [
+            { x: 0, y: 2, z: -15 },
+            { x: -8, y: 1.5, z: -20 },
+            { x: 8, y: 2.5, z: -18 },
+            { x: -5, y: 1, z: -25 },
+            { x: 5, y: 3, z: -22 },
+            { x: 0, y: 1.5, z: -30 },
+            { x: -12, y: 2, z: -35 },
+            { x: 12, y: 1.8, z: -32 }
+        ];
+
+        positions.forEach((pos, index) => {
+            const target = new ServerTarget(this.nextTargetId++, pos, rollTargetOptions('initial'));
+            this.targets.set(target.id.toString(), target);
+            console.log(`🎯 Created ${target.type} target ${target.id} at position (${pos.x}, ${pos.y}, ${pos.z}) with ${target.health} health`);
+        });
+
+        console.log(`🎯 Total targets created: ${this.targets.size}`);
+    }
+
+    spawnNewTarget() {
+        if (this.isClosed) return;
+
+        const x = (Math.random() - 0.5) * 40;
+        const y = 1 + Math.random() * 4;
+        const z = -15 - Math.random() * 25;
+
+        const target = new ServerTarget(this.nextTargetId++, { x, y, z }, rollTargetOptions('respawn'));
+
+        this.targets.set(target.id.toString(), target);
+
+        console.log(`🎯 SERVER: Spawning new ${target.type} target ${target.id} in room "${this.name}" at position (${x}, ${y}, ${z})`);
+        console.log(`🎯 SERVER: Target data to send:`, target.toNetworkData());
+        console.log(`🎯 SERVER: Players in room:`, this.playerCount);
+        console.log(`🎯 SERVER: Total targets after spawn:`, this.targets.size);
+
+        // Broadcast new target to all clients in the room
+        this.emit('targetSpawned', target.toNetworkData());
+
+        console.log(`🎯 SERVER: targetSpawned event emitted to room "${this.name}"`);
+    }
+
+    // Switch match phase and tell everyone in the room
+    setMatchPhase(phase) {
+        const durations = {
+            warmup: this.matchConfig.warmupDuration,
+            live: this.matchConfig.matchDuration,
+            overtime: this.matchConfig.overtimeDuration,
+            results: this.matchConfig.resultsDuration
+        };
+
+        this.matchPhase = phase;
+        this.phaseEndsAt = Date.now() + durations[phase];
+
+        if (phase === 'warmup' || phase === 'live') {
+            // Fresh scores for every match (warmup scores never count)
+            Object.values(this.players).forEach(player => {
+                player.resetStats();
+                if (player.isAlive) {
+                    player.health = player.maxHealth;
+                }
+            });
+            this.matchWinner = null;
+            this.matchWinningTeam = null;
+            this.teamScores = { red: 0, blue: 0 };
+        }
+
+        if (phase === 'live') {
+            this.matchNumber++;
+        }
+
+        if (phase === 'results') {
+            this.matchWinner = this.getLeader();
+            this.matchWinningTeam = this.teamMode ? this.getWinningTeam() : null;
+            if (this.teamMode) {
+                console.log(`🏆 Room "${this.name}" team result: red ${this.teamScores.red} - ${this.teamScores.blue} blue`);
+            }
+            console.log(`🏆 Room "${this.name}" match #${this.matchNumber} over - winner: ${this.matchWinner ? `${this.matchWinner.name} (${this.matchWinner.score})` : 'nobody'}`);
+            leaderboard.recordMatch(this.name, Object.values(this.players));
+        }
+
+        console.log(`⏱️ Room "${this.name}" match phase: ${phase} (${durations[phase] / 1000}s)`);
+        this.emit('matchPhase', this.getMatchPhaseData());
+    }
+
+    // Highest scoring player, or null when nobody scored or the top is tied
+    getLeader() {
+        const ranking = this.getRanking();
+        if (ranking.length === 0 || ranking[0].score === 0) return null;
+        if (ranking.length > 1 && ranking[0].score === ranking[1].score) return null;
+        return ranking[0];
+    }
+
+    getRanking() {
+        return Object.values(this.players)
+            .map(p => ({ id: p.id, name: p.name, team: p.team, score: p.score, kills: p.kills, accuracy: p.getAccuracy() }))
+            .sort((a, b) => b.score - a.score);
+    }
+
+    // Score changed - the score limit ends the match, and so does breaking an overtime tie
+    onScoreChanged(player) {
+        if (this.teamMode) {
+            if (this.matchPhase === 'live' && this.teamScores[player.team] >= this.matchConfig.scoreLimit) {
+                console.log(`🏁 Team ${player.team} reached the score limit (${this.matchConfig.scoreLimit}) in room "${this.name}"`);
+                this.setMatchPhase('results');
+            } else if (this.matchPhase === 'overtime' && this.getWinningTeam()) {
+                this.setMatchPhase('results');
+            }
+            return;
+        }
+
+        if (this.matchPhase === 'live' && player.score >= this.matchConfig.scoreLimit) {
+            console.log(`🏁 ${player.name} reached the score limit (${this.matchConfig.scoreLimit}) in room "${this.name}"`);
+            this.setMatchPhase('results');
+        } else if (this.matchPhase === 'overtime' && this.getLeader()) {
+            this.setMatchPhase('results');
+        }
+    }
+
+    // Kills after the match has ended do not count (warmup scores are reset when the match goes live)
+    canScore() {
+        return this.matchPhase !== 'results';
+    }
+
+    updateMatch() {
+        // Empty rooms wait in warmup until someone joins
+        if (this.playerCount === 0) {
+            if (this.matchPhase !== 'warmup') {
+                this.matchPhase = 'warmup';
+                this.matchWinner = null;
+            }
+            return;
+        }
+
+        if (Date.now() < this.phaseEndsAt) return;
+
+        switch (this.matchPhase) {
+            case 'warmup':
+                this.setMatchPhase('live');
+                break;
+            case 'live':
+                // Tied at the top - play overtime until someone pulls ahead
+                this.setMatchPhase(this.isTiedAtTop() ? 'overtime' : 'results');
+                break;
+            case 'overtime':
+                this.setMatchPhase('results');
+                break;
+            case 'results':
+                this.setMatchPhase('warmup');
+                break;
+        }
+    }
+
+    isTiedAtTop() {
+        if (this.teamMode) {
+            return !this.getWinningTeam() && this.teamScores.red > 0;
+        }
+        return this.playerCount > 1 && !this.getLeader() && this.getRanking()[0].score > 0;
+    }
+
+    getMatchPhaseData() {
+        return {
+            phase: this.matchPhase,
+            matchNumber: this.matchNumber,
+            timeRemaining: Math.max(0, this.phaseEndsAt - Date.now()),
+            matchDuration: this.matchConfig.matchDuration,
+            scoreLimit: this.matchConfig.scoreLimit,
+            winner: this.matchWinner,
+            teamMode: this.teamMode,
+            teamScores: this.teamScores,
+            winningTeam: this.matchWinningTeam || null,
+            ranking: this.getRanking()
+        };
+    }
+
+    // Spawn point furthest away from the nearest living enemy
+    pickSpawnPoint(forPlayerId) {
+        const forPlayer = this.players[forPlayerId];
+        const enemies = Object.values(this.players).filter(p => p.id !== forPlayerId && p.isAlive &&
+            !(this.teamMode && forPlayer && p.team === forPlayer.team));
+        if (enemies.length === 0) {
+            return PVP_CONFIG.spawnPoints[Math.floor(Math.random() * PVP_CONFIG.spawnPoints.length)];
+        }
+
+        let bestPoint = PVP_CONFIG.spawnPoints[0];
+        let bestDistance = -1;
+        PVP_CONFIG.spawnPoints.forEach(point => {
+            const nearest = Math.min(...enemies.map(enemy => {
+                const dx = enemy.position.x - point.x;
+                const dz = enemy.position.z - point.z;
+                return Math.sqrt(dx * dx + dz * dz);
+            }));
+            if (nearest > bestDistance) {
+                bestDistance = nearest;
+                bestPoint = point;
+            }
+        });
+        return bestPoint;
+    }
+
+    respawnDeadPlayers() {
+        const now = Date.now();
+        Object.values(this.players).forEach(player => {
+            if (player.isAlive || now < player.respawnAt) return;
+
+            player.respawn(this.pickSpawnPoint(player.id));
+            console.log(`💚 ${player.name} respawned in room "${this.name}" at (${player.position.x}, ${player.position.z})`);
+            this.emit('playerRespawned', {
+                playerId: player.id,
+                position: player.position,
+                health: player.health
+            });
+        });
+    }
+
+    // Position of a player or target as the shooter saw it
+    getRewoundPosition(shooter, entity, isTarget = false) {
+        const key = isTarget ? `target:${entity.id}` : entity.id;
+        return this.positionHistory.sample(key, shooter.getViewTime()) || entity.position;
+    }
+
+    tick() {
+        this.gameTime += TICK_INTERVAL;
+        this.updateCount++;
+
+        this.updateTargets();
+        this.updateMatch();
+        if (this.pvp) {
+            this.respawnDeadPlayers();
+        }
+
+        // Nobody to send updates to
+        if (this.playerCount === 0) return;
+
+        this.positionHistory.record(Date.now(), this.players, this.targets);
+
+        // Every client gets its own delta snapshot
+        Object.values(this.players).forEach(viewer => {
+            if (!viewer.socketId) return; // Disconnected, waiting to be resumed
+
+            const update = this.buildSnapshotFor(viewer);
+            if (viewer.codec === 'binary') {
+                const encoded = NetworkCodec.encode('gameUpdate', update);
+                viewer.bytesSent += encoded.byteLength;
+                io.to(viewer.socketId).emit('gameUpdate', encoded);
+            } else {
+                viewer.bytesSent += Buffer.byteLength(JSON.stringify(update));
+                io.to(viewer.socketId).emit('gameUpdate', update);
+            }
+        });
+
+        // Log gameUpdate events occasionally (every 60 ticks = 1 second)
+        if (this.updateCount % 60 === 0 || this.updateCount <= 5) {
+            console.log(`🔄 [${this.name}] gameUpdate #${this.updateCount}: ${this.playerCount} players`);
+            if (this.playerCount > 1) {
+                console.log('🔄 Players in update:', Object.values(this.players).map(p => `${p.id.slice(-4)} at (${p.position.x.toFixed(1)},${p.position.y.toFixed(1)},${p.position.z.toFixed(1)})`));
+            }
+        }
+
+        this.logBandwidth();
+    }
+
+    // Targets follow their movement pattern on the room clock
+    updateTargets() {
+        const time = this.gameTime / 1000;
+        this.targets.forEach(target => target.advance(time));
+    }
+
+    // Send to everyone in the room (except one player) in the codec each of them negotiated
+    emitEncoded(event, data, exceptId = null) {
+        let encoded = null;
+        Object.values(this.players).forEach(player => {
+            if (player.id === exceptId || !player.socketId) return;
+
+            if (player.codec === 'binary') {
+                encoded = encoded || NetworkCodec.encode(event, data);
+                io.to(player.socketId).emit(event, encoded);
+            } else {
+                io.to(player.socketId).emit(event, data);
+            }
+        });
+    }
+
+    // Interest management: far away players are updated less often
+    shouldUpdate(viewer, player) {
+        if (viewer === player) return true;
+
+        const dx = player.position.x - viewer.position.x;
+        const dz = player.position.z - viewer.position.z;
+        const distance = Math.sqrt(dx * dx + dz * dz);
+
+        let interval = 1;
+        if (distance > NETWORK_CONFIG.veryFarDistance) {
+            interval = NETWORK_CONFIG.veryFarUpdateInterval;
+        } else if (distance > NETWORK_CONFIG.farDistance) {
+            interval = NETWORK_CONFIG.farUpdateInterval;
+        }
+        return (this.updateCount + player.netId) % interval === 0; // Spread far players over ticks
     }
 
-    toNetworkData() {
+    // Changes since the last snapshot this client acknowledged (a full snapshot if none)
+    buildSnapshotFor(viewer) {
+        const baselineId = viewer.ackedSnapshotId;
+        const baseline = viewer.sentSnapshots.get(baselineId) || null;
+        const snapshotId = viewer.nextSnapshotId++;
+        const records = new Map();
+        const players = [];
+
+        Object.values(this.players).forEach(player => {
+            const known = baseline && baseline.get(player.netId);
+
+            // Skipped players stay at what the client already knows
+            if (known && !this.shouldUpdate(viewer, player)) {
+                records.set(player.netId, known);
+                return;
+            }
+
+            const record = toSnapshotRecord(player, player === viewer);
+            records.set(player.netId, record);
+            players.push(diffSnapshotRecord(record, known));
+        });
+
+        viewer.sentSnapshots.set(snapshotId, records);
+        if (viewer.sentSnapshots.size > NETWORK_CONFIG.snapshotHistory) {
+            viewer.sentSnapshots.delete(viewer.sentSnapshots.keys().next().value);
+        }
+
+        // Target positions are small and always change, so they're sent in full at a lower rate
+        const targets = this.updateCount % NETWORK_CONFIG.targetUpdateInterval === 0
+            ? Array.from(this.targets.values()).filter(target => target.isAlive).map(toTargetSnapshot)
+            : [];
+
         return {
-            id: this.id,
-            position: this.position,
-            rotation: this.rotation,
-            scale: this.scale,
-            health: this.health,
-            maxHealth: this.maxHealth,
-            points: this.points,
-            isAlive: this.isAlive
+            snapshotId: snapshotId,
+            baselineId: baseline ? baselineId : 0,
+            gameTime: this.gameTime,
+            players: players,
+            left: baseline ? Array.from(baseline.keys()).filter(netId => !records.has(netId)) : [],
+            targets: targets
         };
     }
-}
 
-// Initialize some targets
-function spawnInitialTargets() {
-    console.log('🎯 Spawning initial targets on server...');
-    
-    const positions = [
-        { x: 0, y: 2, z: -15 },
-        { x: -8, y: 1.5, z: -20 },
-        { x: 8, y: 2.5, z: -18 },
-        { x: -5, y: 1, z: -25 },
-        { x: 5, y: 3, z: -22 },
-        { x: 0, y: 1.5, z: -30 },
-        { x: -12, y: 2, z: -35 },
-        { x: 12, y: 1.8, z: -32 }
-    ];
+    logBandwidth() {
+        const now = Date.now();
+        const elapsed = now - this.lastBandwidthLog;
+        if (elapsed < NETWORK_CONFIG.bandwidthLogInterval) return;
 
-    positions.forEach((pos, index) => {
-        const target = new ServerTarget(gameState.nextTargetId++, pos, {
-            health: 75 + Math.random() * 50,
-            points: 10 + Math.floor(Math.random() * 20)
+        Object.values(this.players).forEach(player => {
+            if (!player.socketId) return;
+            const bytesPerSecond = player.bytesSent * 1000 / elapsed;
+            console.log(`📶 [${this.name}] ${player.name} (${player.id.slice(-4)}): gameUpdate ${(bytesPerSecond / 1024).toFixed(2)} KB/s (${player.codec})`);
+            player.bytesSent = 0;
         });
-        gameState.targets.set(target.id.toString(), target);
-        console.log(`🎯 Created target ${target.id} at position (${pos.x}, ${pos.y}, ${pos.z}) with ${target.health} health`);
-    });
-    
-    console.log(`🎯 Total targets created: ${gameState.targets.size}`);
+        this.lastBandwidthLog = now;
+    }
+
+    // Summary shown in the lobby listing
+    toLobbyData() {
+        return {
+            name: this.name,
+            playerCount: this.playerCount,
+            hasPassword: this.hasPassword(),
+            pvp: this.pvp,
+            teamMode: this.teamMode,
+            friendlyFire: this.friendlyFire,
+            createdAt: this.createdAt
+        };
+    }
 }
 
-function spawnNewTarget() {
-    const x = (Math.random() - 0.5) * 40;
-    const y = 1 + Math.random() * 4;
-    const z = -15 - Math.random() * 25;
+// Payload schemas for every event a client may send. Optional fields may be missing or null;
+// fields that aren't declared are ignored by the validator and never read by the handlers.
+const VECTOR3_SCHEMA = {
+    type: 'object',
+    fields: { x: { type: 'number' }, y: { type: 'number' }, z: { type: 'number' } }
+};
+
+const EVENT_SCHEMAS = {
+    joinRoom: {
+        type: 'object',
+        fields: {
+            room: { type: 'string', maxLength: 64, optional: true },
+            password: { type: 'string', maxLength: 128, optional: true },
+            create: { type: 'boolean', optional: true },
+            pvp: { type: 'boolean', optional: true },
+            teamMode: { type: 'boolean', optional: true },
+            friendlyFire: { type: 'boolean', optional: true },
+            name: { type: 'string', maxLength: 64, optional: true },
+            interpolationDelay: { type: 'number', optional: true },
+            sessionToken: { type: 'string', maxLength: 64, optional: true }
+        }
+    },
+    clockPing: { type: 'function' }, // Only the ack
+    playerInput: {
+        type: 'object',
+        binary: true, // Decoded with NetworkCodec before validation
+        fields: {
+            ackSnapshot: { type: 'number', min: 0, optional: true },
+            rotation: {
+                type: 'object',
+                optional: true,
+                fields: { x: { type: 'number' }, y: { type: 'number' } }
+            },
+            name: { type: 'string', maxLength: 64, optional: true },
+            isMoving: { type: 'boolean', optional: true },
+            isCrouching: { type: 'boolean', optional: true },
+            isRunning: { type: 'boolean', optional: true },
+            inputs: {
+                type: 'array',
+                maxItems: 600, // The client's own pending input limit
+                optional: true,
+                items: {
+                    type: 'object',
+                    fields: {
+                        seq: { type: 'number', min: 0 },
+                        buttons: { type: 'number', min: 0, max: 255 },
+                        rotationX: { type: 'number' },
+                        rotationY: { type: 'number' },
+                        dt: { type: 'number' }
+                    }
+                }
+            }
+        }
+    },
+    playerShoot: {
+        type: 'object',
+        fields: {
+            position: VECTOR3_SCHEMA,
+            direction: VECTOR3_SCHEMA,
+            weapon: { type: 'string', maxLength: 32, optional: true }
+        }
+    },
+    playerReload: {
+        type: 'object',
+        fields: {
+            state: { type: 'string', maxLength: 16 }, // 'start', 'cancel' or 'finish'
+            type: { type: 'string', maxLength: 16, optional: true }, // 'tactical' or 'empty' when starting
+            weapon: { type: 'string', maxLength: 32, optional: true }
+        }
+    },
+    targetHit: {
+        type: 'object',
+        fields: {
+            targetId: { type: 'id' },
+            damage: { type: 'number', optional: true },
+            hitPoint: { ...VECTOR3_SCHEMA, optional: true },
+            zone: { type: 'string', maxLength: 16, optional: true }
+        }
+    },
+    playerHit: {
+        type: 'object',
+        fields: {
+            targetPlayerId: { type: 'string', maxLength: 64 },
+            hitPoint: { ...VECTOR3_SCHEMA, optional: true },
+            zone: { type: 'string', maxLength: 16, optional: true }
+        }
+    },
+    debugInfo: {
+        type: 'object',
+        fields: { message: { type: 'string', maxLength: 500 } }
+    },
+    debugSpawnTarget: { type: 'object', optional: true, fields: {} }
+};
 
-    const target = new ServerTarget(gameState.nextTargetId++, { x, y, z }, {
-        health: 50 + Math.random() * 100,
-        points: 5 + Math.floor(Math.random() * 25)
-    });
+// Returns a description of the first problem found, or null if the value matches the schema
+function validatePayload(schema, value, path = 'payload') {
+    if (value === undefined || value === null) {
+        return schema.optional ? null : `${path} is missing`;
+    }
 
-    gameState.targets.set(target.id.toString(), target);
-    
-    console.log(`🎯 SERVER: Spawning new target ${target.id} at position (${x}, ${y}, ${z})`);
-    console.log(`🎯 SERVER: Target data to send:`, target.toNetworkData());
-    console.log(`🎯 SERVER: Total connected clients:`, io.engine.clientsCount);
-    console.log(`🎯 SERVER: Total targets after spawn:`, gameState.targets.size);
-    
-    // Broadcast new target to all clients
-    io.emit('targetSpawned', target.toNetworkData());
-    
-    console.log(`🎯 SERVER: targetSpawned event emitted to all clients`);
+    switch (schema.type) {
+        case 'object': {
+            if (typeof value !== 'object' || Array.isArray(value)) return `${path} must be an object`;
+            for (const [key, fieldSchema] of Object.entries(schema.fields || {})) {
+                const error = validatePayload(fieldSchema, value[key], `${path}.${key}`);
+                if (error) return error;
+            }
+            return null;
+        }
+        case 'array': {
+            if (!Array.isArray(value)) return `${path} must be an array`;
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                return `${path} has ${value.length} items (max ${schema.maxItems})`;
+            }
+            for (let i = 0; i < value.length; i++) {
+                const error = validatePayload(schema.items, value[i], `${path}[${i}]`);
+                if (error) return error;
+            }
+            return null;
+        }
+        case 'string':
+            if (typeof value !== 'string') return `${path} must be a string`;
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                return `${path} is ${value.length} characters long (max ${schema.maxLength})`;
+            }
+            return null;
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return `${path} must be a finite number`;
+            if (schema.min !== undefined && value < schema.min) return `${path} must be at least ${schema.min}`;
+            if (schema.max !== undefined && value > schema.max) return `${path} must be at most ${schema.max}`;
+            return null;
+        case 'boolean':
+            return typeof value === 'boolean' ? null : `${path} must be a boolean`;
+        case 'id': // Target ids are numbers on the server, strings on most clients
+            if (typeof value === 'string' && value.length > 0 && value.length <= 32) return null;
+            if (Number.isInteger(value)) return null;
+            return `${path} must be an id`;
+        case 'function':
+            return typeof value === 'function' ? null : `${path} must be a function`;
+        default:
+            return `${path} has unknown schema type "${schema.type}"`;
+    }
 }
 
-// Game constants
-const TICK_RATE = 60; // Server updates per second
-const TICK_INTERVAL = 1000 / TICK_RATE;
+// Allows `burst` takes at once, refilled continuously at `rate` per second
+class TokenBucket {
+    constructor(rate, burst) {
+        this.rate = rate;
+        this.burst = burst;
+        this.tokens = burst;
+        this.lastRefill = Date.now();
+    }
 
-// Player management
-class ServerPlayer {
-    constructor(id) {
-        this.id = id;
-        this.name = 'Guest'; // Default name, will be updated by client
-        this.position = { x: 0, y: 1.6, z: 5 }; // Match client starting position
-        this.rotation = { x: 0, y: 0 };
-        this.velocity = { x: 0, y: 0, z: 0 };
-        this.health = 100;
-        this.isMoving = false;
-        this.isCrouching = false;
-        this.isRunning = false;
-        this.lastUpdate = Date.now();
+    take(cost = 1) {
+        const now = Date.now();
+        this.tokens = Math.min(this.burst, this.tokens + (now - this.lastRefill) / 1000 * this.rate);
+        this.lastRefill = now;
+
+        if (this.tokens < cost - 1e-9) return false; // Float slack for fractional costs
+        this.tokens = Math.max(0, this.tokens - cost);
+        return true;
     }
+}
 
-    update(inputData) {
-        if (inputData.position) {
-            // Simple position validation - ensure player isn't moving too fast
-            const maxSpeed = inputData.isRunning ? 20 : 12;
-            const deltaTime = (Date.now() - this.lastUpdate) / 1000;
-            this.lastUpdate = Date.now();
-
-            if (deltaTime > 0) {
-                const deltaX = inputData.position.x - this.position.x;
-                const deltaZ = inputData.position.z - this.position.z;
-                const distance = Math.sqrt(deltaX * deltaX + deltaZ * deltaZ);
-                const speed = distance / deltaTime;
-
-                // Allow the movement if it's reasonable
-                if (speed <= maxSpeed * 1.5) { // Allow some tolerance
-                    this.position = inputData.position;
-                    this.velocity = inputData.velocity || this.velocity;
-                }
+// Rate limits and validates a socket's events before their handlers run
+class SocketGuard {
+    constructor(socket) {
+        this.socket = socket;
+        this.buckets = new Map(); // event -> TokenBucket
+        this.violations = []; // Timestamps within the abuse window
+        this.isKicked = false;
+        this.onAbuse = null; // Called right before the socket is disconnected
+
+        // Anything we don't have a schema for is a violation too
+        socket.onAny((event) => {
+            if (!EVENT_SCHEMAS[event]) {
+                this.reportViolation(event, 'unknown event');
             }
+        });
+    }
+
+    on(event, handler) {
+        const schema = EVENT_SCHEMAS[event];
+        const limit = RATE_LIMITS[event];
+        if (limit) {
+            this.buckets.set(event, new TokenBucket(limit.rate, limit.burst));
         }
 
-        if (inputData.rotation) {
-            this.rotation = inputData.rotation;
+        this.socket.on(event, (payload, ...rest) => {
+            if (this.isKicked) return;
+
+            const bucket = this.buckets.get(event);
+            if (bucket && !bucket.take()) {
+                this.reportViolation(event, 'rate limit exceeded');
+                return;
+            }
+
+            if (schema.binary && NetworkCodec.isBinary(payload)) {
+                payload = NetworkCodec.decode(payload); // null if it can't be read
+            }
+
+            const error = validatePayload(schema, payload);
+            if (error) {
+                this.reportViolation(event, error);
+                return;
+            }
+
+            handler(payload, ...rest);
+        });
+    }
+
+    reportViolation(event, reason) {
+        if (this.isKicked) return;
+
+        const now = Date.now();
+        this.violations = this.violations.filter(time => now - time <= ABUSE_CONFIG.violationWindow);
+        this.violations.push(now);
+
+        // Only the first few per window, a flooding client shouldn't flood the log as well
+        if (this.violations.length <= 5) {
+            console.warn(`🚫 Dropped "${event}" from ${this.socket.id}: ${reason} [violations: ${this.violations.length}]`);
         }
 
-        // Update player name if provided
-        if (inputData.name && inputData.name !== this.name) {
-            console.log(`Player ${this.id.slice(-4)} name updated: "${this.name}" -> "${inputData.name}"`);
-            this.name = inputData.name;
+        if (this.violations.length >= ABUSE_CONFIG.maxViolations) {
+            this.isKicked = true;
+            console.warn(`⛔ Disconnecting ${this.socket.id}: ${this.violations.length} violations in ${ABUSE_CONFIG.violationWindow / 1000}s`);
+            if (this.onAbuse) {
+                this.onAbuse();
+            }
+            this.socket.disconnect(true);
         }
+    }
+}
 
-        this.isMoving = inputData.isMoving || false;
-        this.isCrouching = inputData.isCrouching || false;
-        this.isRunning = inputData.isRunning || false;
+function hashPassword(password) {
+    return crypto.createHash('sha256').update(password).digest('hex');
+}
+
+// Trim and limit room names; falls back to the default room
+function sanitizeRoomName(name) {
+    if (typeof name !== 'string') return DEFAULT_ROOM_NAME;
+    const cleaned = name.trim().replace(/[<>]/g, '').substring(0, MAX_ROOM_NAME_LENGTH);
+    return cleaned.length > 0 ? cleaned : DEFAULT_ROOM_NAME;
+}
+
+// Same rules as LoadingScreen.getPlayerName; null if nothing usable is left
+function sanitizePlayerName(name) {
+    if (typeof name !== 'string') return null;
+    const cleaned = name.trim().substring(0, MAX_PLAYER_NAME_LENGTH).replace(/[<>]/g, '');
+    return cleaned.length > 0 ? cleaned : null;
+}
+
+const rooms = new Map();
+
+function createRoom(name, options = {}) {
+    const room = new GameRoom(name, options);
+    rooms.set(name, room);
+    room.start();
+    return room;
+}
+
+function getSocketRoom(socket) {
+    return socket.data.roomName ? rooms.get(socket.data.roomName) : null;
+}
+
+// Session tokens let a reconnecting client take its player back (token -> { roomName, playerId })
+const sessions = new Map();
+
+function startSession(room, player) {
+    player.sessionToken = crypto.randomBytes(16).toString('hex');
+    sessions.set(player.sessionToken, { roomName: room.name, playerId: player.id });
+}
+
+function endSession(player) {
+    clearTimeout(player.graceTimer);
+    player.graceTimer = null;
+    if (player.sessionToken) {
+        sessions.delete(player.sessionToken);
+        player.sessionToken = null;
     }
+}
 
-    toNetworkData() {
-        return {
-            id: this.id,
-            name: this.name,
-            position: this.position,
-            rotation: this.rotation,
-            velocity: this.velocity,
-            health: this.health,
-            isMoving: this.isMoving,
-            isCrouching: this.isCrouching,
-            isRunning: this.isRunning
-        };
+// Keep a disconnected player in the room until the grace period runs out
+function suspendPlayer(room, player) {
+    player.socketId = null;
+    player.disconnectedAt = Date.now();
+    console.log(`⏸️ ${player.name} (${player.id.slice(-4)}) disconnected from room "${room.name}", keeping them for ${SESSION_CONFIG.gracePeriod / 1000}s`);
+
+    player.graceTimer = setTimeout(() => {
+        if (room.players[player.id] !== player || player.socketId) return;
+
+        console.log(`⌛ Session of ${player.name} (${player.id.slice(-4)}) expired, removing from room "${room.name}"`);
+        endSession(player);
+        room.removePlayer(player.id);
+        room.emit('playerLeft', player.id);
+    }, SESSION_CONFIG.gracePeriod);
+}
+
+// The room and player a session token belongs to, if they still exist
+function findSession(token) {
+    const session = typeof token === 'string' ? sessions.get(token) : null;
+    if (!session) return null;
+
+    const room = rooms.get(session.roomName);
+    const player = room && room.players[session.playerId];
+    if (!player) {
+        sessions.delete(token);
+        return null;
     }
+    return { room, player };
 }
 
+// Lobby listing for the loading screen
+app.get('/api/rooms', (req, res) => {
+    res.json({
+        rooms: Array.from(rooms.values()).map(room => room.toLobbyData())
+    });
+});
+
+// Best players by match score
+app.get('/api/leaderboard', (req, res) => {
+    const period = req.query.period || 'all';
+    if (!Object.prototype.hasOwnProperty.call(LEADERBOARD_PERIODS, period)) {
+        res.status(400).json({ error: `Unknown period "${period}" (use day, week or all)` });
+        return;
+    }
+
+    res.json({
+        period: period,
+        players: leaderboard.getLeaderboard(period)
+    });
+});
+
 // Socket connection handling
 io.on('connection', (socket) => {
-    console.log(`Player ${socket.id} connected`);
+    // Binary messages if the client asked for a codec version we speak, JSON otherwise
+    const handshake = socket.handshake.auth || {};
+    socket.data.codec = handshake.codec === 'binary' && handshake.codecVersion === NetworkCodec.VERSION ? 'binary' : 'json';
+    console.log(`Player ${socket.id} connected (${socket.data.codec} codec)`);
+    socket.data.roomName = null;
+    socket.data.playerId = null;
 
-    // Create new player
-    const player = new ServerPlayer(socket.id);
-    gameState.players[socket.id] = player;
+    // Every client event goes through the guard; abusive clients lose their player right away (no grace period)
+    const guard = new SocketGuard(socket);
+    guard.onAbuse = () => leaveCurrentRoom();
 
-    // Send initial game state to new player
-    const targetsArray = Array.from(gameState.targets.values()).map(t => t.toNetworkData());
-    console.log(`Sending initial game state to player ${socket.id}:`);
-    console.log(`- Players: ${Object.keys(gameState.players).length}`);
-    console.log(`- Targets: ${targetsArray.length}`);
-    
-    // CRITICAL: Ensure we always have targets when client connects
-    if (targetsArray.length === 0) {
-        console.log('⚠️ WARNING: No targets to send to client! This should not happen.');
-        console.log('⚠️ Server gameState.targets.size:', gameState.targets.size);
-        console.log('⚠️ Attempting to respawn initial targets...');
-        spawnInitialTargets();
-        // Recreate the targets array after spawning
-        const newTargetsArray = Array.from(gameState.targets.values()).map(t => t.toNetworkData());
-        console.log('⚠️ After respawn, targets count:', newTargetsArray.length);
+    // Take the player out of whatever room they are in
+    function leaveCurrentRoom() {
+        const room = getSocketRoom(socket);
+        if (!room) return;
+
+        const playerId = socket.data.playerId;
+        const player = room.players[playerId];
+        if (player) {
+            endSession(player);
+        }
+        room.removePlayer(playerId);
+        socket.leave(room.channel);
+        socket.data.roomName = null;
+        socket.data.playerId = null;
+
+        // Notify the other players in the room about the departure
+        socket.to(room.channel).emit('playerLeft', playerId);
+        console.log(`Notified room "${room.name}" about ${playerId} leaving`);
+        console.log(`Remaining players in "${room.name}": ${room.playerCount}`);
     }
-    
-    // Use the most up-to-date targets array
-    const finalTargetsArray = Array.from(gameState.targets.values()).map(t => t.toNetworkData());
-    
-    // Debug: Log each target being sent
-    console.log(`🎯 DETAILED TARGET DATA for new player ${socket.id}:`);
-    finalTargetsArray.forEach((target, index) => {
-        console.log(`  Target ${target.id}: pos(${target.position.x.toFixed(1)}, ${target.position.y.toFixed(1)}, ${target.position.z.toFixed(1)}), health: ${target.health.toFixed(1)}/${target.maxHealth.toFixed(1)}, alive: ${target.isAlive}`);
-    });
-    console.log(`🎯 Server gameState.targets.size: ${gameState.targets.size}`);
-    console.log(`🎯 Server target IDs:`, Array.from(gameState.targets.keys()));
-    
-    socket.emit('gameState', {
-        players: Object.values(gameState.players).map(p => p.toNetworkData()),
-        targets: finalTargetsArray,
-        gameTime: gameState.gameTime,
-        yourId: socket.id
+
+    function sendGameState(room, player, resumed = false) {
+        // CRITICAL: Ensure we always have targets when client connects
+        if (room.targets.size === 0) {
+            console.log('⚠️ WARNING: No targets to send to client! This should not happen.');
+            console.log('⚠️ Attempting to respawn initial targets...');
+            room.spawnInitialTargets();
+            console.log('⚠️ After respawn, targets count:', room.targets.size);
+        }
+
+        const finalTargetsArray = Array.from(room.targets.values()).map(t => t.toNetworkData());
+
+        // Debug: Log each target being sent
+        console.log(`🎯 DETAILED TARGET DATA for new player ${socket.id}:`);
+        finalTargetsArray.forEach((target, index) => {
+            console.log(`  Target ${target.id}: pos(${target.position.x.toFixed(1)}, ${target.position.y.toFixed(1)}, ${target.position.z.toFixed(1)}), health: ${target.health.toFixed(1)}/${target.maxHealth.toFixed(1)}, alive: ${target.isAlive}`);
+        });
+        console.log(`🎯 Server target IDs:`, Array.from(room.targets.keys()));
+
+        socket.emit('gameState', {
+            players: Object.values(room.players).map(p => p.toNetworkData()),
+            targets: finalTargetsArray,
+            gameTime: room.gameTime,
+            room: room.toLobbyData(),
+            match: room.getMatchPhaseData(),
+            teamScores: room.teamScores,
+            network: {
+                positionPrecision: NETWORK_CONFIG.positionPrecision,
+                rotationPrecision: NETWORK_CONFIG.rotationPrecision
+            },
+            codec: socket.data.codec,
+            sessionToken: player.sessionToken,
+            resumed: resumed,
+            yourId: player.id
+        });
+    }
+
+    // Take over a player kept after a disconnect - the rest of the room sees the same player continue
+    function resumeSession(room, player) {
+        const previousSocket = player.socketId && io.sockets.sockets.get(player.socketId);
+        if (previousSocket) {
+            // The old connection is still half-open, this one replaces it
+            previousSocket.data.roomName = null;
+            previousSocket.data.playerId = null;
+            previousSocket.leave(room.channel);
+            previousSocket.disconnect(true);
+        }
+
+        clearTimeout(player.graceTimer);
+        player.graceTimer = null;
+        player.socketId = socket.id;
+        player.disconnectedAt = null;
+        player.codec = socket.data.codec;
+        player.rtt = socket.data.rtt || player.rtt;
+        player.resetNetworkState();
+
+        socket.join(room.channel);
+        socket.data.roomName = room.name;
+        socket.data.playerId = player.id;
+
+        console.log(`▶️ ${player.name} (${player.id.slice(-4)}) resumed their session in room "${room.name}" on socket ${socket.id}`);
+        sendGameState(room, player, true);
+    }
+
+    // Measure round trip time for lag compensation (the client just acknowledges)
+    function measureLatency() {
+        const sentAt = Date.now();
+        socket.timeout(LAG_COMPENSATION.latencyCheckTimeout).emit('latencyCheck', sentAt, (err) => {
+            if (err) return;
+            const rtt = Date.now() - sentAt;
+            socket.data.rtt = rtt;
+
+            const room = getSocketRoom(socket);
+            const player = room && room.players[socket.data.playerId];
+            if (player) {
+                player.recordLatency(rtt);
+            }
+        });
+    }
+    measureLatency();
+    const latencyTimer = setInterval(measureLatency, LAG_COMPENSATION.latencyCheckInterval);
+
+    // Clock sync for the client's ping display and serverTime() estimate
+    guard.on('clockPing', (ack) => {
+        ack(Date.now());
     });
 
-    // Notify other players about new player
-    const newPlayerData = player.toNetworkData();
-    console.log(`📡 Broadcasting playerJoined event for ${socket.id} to other players`);
-    console.log(`📡 Player data being sent:`, newPlayerData);
-    socket.broadcast.emit('playerJoined', newPlayerData);
-    console.log(`📡 playerJoined broadcast sent for ${socket.id}`);
+    // Handle room selection from the lobby
+    guard.on('joinRoom', (joinData) => {
+        const roomName = sanitizeRoomName(joinData.room);
+
+        // Reconnecting within the grace period picks the same player back up
+        const session = findSession(joinData.sessionToken);
+        if (session && session.player.socketId !== socket.id) {
+            if (session.room.name === roomName) {
+                leaveCurrentRoom();
+                resumeSession(session.room, session.player);
+                return;
+            }
+
+            // Went somewhere else instead - the old player is gone for good
+            endSession(session.player);
+            session.room.removePlayer(session.player.id);
+            session.room.emit('playerLeft', session.player.id);
+        }
+
+        let room = rooms.get(roomName);
+
+        if (room && joinData.create && room.name !== DEFAULT_ROOM_NAME) {
+            socket.emit('joinRoomError', { room: roomName, message: `Room "${roomName}" already exists` });
+            return;
+        }
+
+        if (room && !room.checkPassword(joinData.password)) {
+            console.log(`🔒 Player ${socket.id} used a wrong password for room "${roomName}"`);
+            socket.emit('joinRoomError', { room: roomName, message: `Wrong password for room "${roomName}"` });
+            return;
+        }
+
+        if (!room) {
+            room = createRoom(roomName, {
+                password: joinData.password || null,
+                pvp: !!joinData.pvp,
+                teamMode: !!joinData.teamMode,
+                friendlyFire: !!joinData.friendlyFire
+            });
+        }
+
+        leaveCurrentRoom();
+
+        // Create new player
+        const player = new ServerPlayer(socket.id);
+        player.codec = socket.data.codec;
+        player.rtt = socket.data.rtt || 0;
+        if (Number.isFinite(joinData.interpolationDelay)) {
+            player.interpolationDelay = Math.min(Math.max(joinData.interpolationDelay, 0), LAG_COMPENSATION.maxInterpolationDelay);
+        }
+        const name = sanitizePlayerName(joinData.name);
+        if (name) {
+            player.name = name;
+        }
+        room.addPlayer(player);
+        startSession(room, player);
+        socket.join(room.channel);
+        socket.data.roomName = room.name;
+        socket.data.playerId = player.id;
+
+        // Send initial game state to new player
+        console.log(`Sending initial game state for room "${room.name}" to player ${socket.id}:`);
+        console.log(`- Players: ${room.playerCount}`);
+        console.log(`- Targets: ${room.targets.size}`);
+        sendGameState(room, player);
+
+        // PvP rooms start players at a spawn point away from the others
+        if (room.pvp) {
+            player.respawn(room.pickSpawnPoint(player.id));
+            socket.emit('playerRespawned', {
+                playerId: player.id,
+                position: player.position,
+                health: player.health
+            });
+        }
+
+        // Notify other players in the room about new player
+        const newPlayerData = player.toNetworkData();
+        console.log(`📡 Broadcasting playerJoined event for ${socket.id} to room "${room.name}"`);
+        console.log(`📡 Player data being sent:`, newPlayerData);
+        socket.to(room.channel).emit('playerJoined', newPlayerData);
+        console.log(`📡 playerJoined broadcast sent for ${socket.id}`);
+    });
 
     // Handle player input
-    socket.on('playerInput', (inputData) => {
-        const player = gameState.players[socket.id];
+    guard.on('playerInput', (inputData) => {
+        const room = getSocketRoom(socket);
+        const player = room && room.players[socket.data.playerId];
         if (player) {
             // Log first few inputs and occasionally after that
             if (!player.inputCount) player.inputCount = 0;
@@ -239,140 +1922,273 @@ io.on('connection', (socket) => {
             
             if (player.inputCount <= 5 || player.inputCount % 120 === 0) { // First 5 and every 2 seconds
                 console.log(`📥 Player ${socket.id.slice(-4)} input #${player.inputCount}:`, {
-                    pos: inputData.position ? `(${inputData.position.x.toFixed(1)},${inputData.position.y.toFixed(1)},${inputData.position.z.toFixed(1)})` : 'none',
+                    pos: `(${player.position.x.toFixed(1)},${player.position.y.toFixed(1)},${player.position.z.toFixed(1)})`,
+                    inputs: Array.isArray(inputData.inputs) ? inputData.inputs.length : 0,
                     rot: inputData.rotation ? `(${inputData.rotation.x.toFixed(2)},${inputData.rotation.y.toFixed(2)})` : 'none',
                     moving: inputData.isMoving
                 });
             }
             
             player.update(inputData);
+            player.acknowledgeSnapshot(inputData.ackSnapshot);
         }
     });
 
     // Handle shooting
-    socket.on('playerShoot', (shootData) => {
+    guard.on('playerShoot', (shootData) => {
         console.log(`Player ${socket.id} shot at:`, shootData.position);
+
+        const room = getSocketRoom(socket);
+        const player = room && room.players[socket.data.playerId];
+        if (!player) return;
+
+        const shotResult = player.recordShot(shootData);
+        if (!shotResult.accepted) {
+            player.rejectedShots++;
+            console.warn(`🚫 Rejected shot from player ${socket.id} (${player.name}): ${shotResult.reason} [rejected shots: ${player.rejectedShots}]`);
+            return;
+        }
+
+        if (room.canScore()) {
+            player.shotsFired++;
+        }
         
-        // Broadcast shooting event to all other players
-        socket.broadcast.emit('playerShot', {
-            playerId: socket.id,
+        // Broadcast shooting event to all other players in the room
+        room.emitEncoded('playerShot', {
+            playerId: player.id,
             position: shootData.position,
             direction: shootData.direction,
+            weapon: player.recentShots[player.recentShots.length - 1].weapon,
             timestamp: Date.now()
+        }, player.id);
+    });
+
+    // Relay reloads so other clients can animate them (ammo itself stays client-side)
+    guard.on('playerReload', (reloadData) => {
+        const room = getSocketRoom(socket);
+        const player = room && room.players[socket.data.playerId];
+        if (!player || !player.isAlive) return;
+
+        if (!RELOAD_STATES.includes(reloadData.state)) {
+            guard.reportViolation('playerReload', `unknown state "${reloadData.state}"`);
+            return;
+        }
+
+        // The animation length comes from our copy of the weapon definition, not the client
+        const weaponId = WEAPON_DATA.weapons[reloadData.weapon] ? reloadData.weapon : WEAPON_DATA.defaultWeapon;
+        const type = reloadData.type === 'empty' ? 'empty' : 'tactical';
+        socket.to(room.channel).emit('playerReload', {
+            playerId: player.id,
+            state: reloadData.state,
+            type: type,
+            weapon: weaponId,
+            duration: getWeaponDefinition(weaponId).reload[type]
         });
     });
 
     // Handle target hit
-    socket.on('targetHit', (hitData) => {
+    guard.on('targetHit', (hitData) => {
+        const room = getSocketRoom(socket);
+        const player = room && room.players[socket.data.playerId];
+        if (!player) return;
+
         // Convert targetId to string for consistent lookup
         const targetId = hitData.targetId.toString();
-        const target = gameState.targets.get(targetId);
+        const target = room.targets.get(targetId);
         
         if (!target || !target.isAlive) {
-            console.log(`Target ${targetId} not found or already dead. Available targets:`, Array.from(gameState.targets.keys()));
+            console.log(`Target ${targetId} not found or already dead. Available targets:`, Array.from(room.targets.keys()));
+            return;
+        }
+
+        // Recompute the hit from the shooter's recorded shots instead of trusting the client
+        const targetPosition = room.getRewoundPosition(player, target, true);
+        const shot = player.consumeShotHitting(target, target.hitRadius, targetPosition);
+        if (!shot) {
+            player.rejectedHits++;
+            console.warn(`🚫 Rejected hit on target ${targetId} from player ${socket.id} (${player.name}): no matching shot [rejected hits: ${player.rejectedHits}]`);
+
+            // Let the shooter resync the health it optimistically applied
+            socket.emit('hitRejected', {
+                targetId: targetId,
+                health: target.health,
+                maxHealth: target.maxHealth
+            });
             return;
         }
 
-        const damage = hitData.damage || 25;
+        // Damage always comes from the definition of the weapon that fired the shot, times the
+        // multiplier of the zone it hit (if the shot really passes through that zone)
+        const targetYaw = targetPosition.yaw !== undefined ? targetPosition.yaw : target.rotation.y;
+        const zone = confirmHitZone(hitData.zone, shot, TARGET_HITBOXES, targetPosition, targetYaw, target.scale);
+        const damage = Math.round(getWeaponDefinition(shot.weapon).damage * Hitboxes.getMultiplier(TARGET_TYPES.hitZones, zone));
+        if (hitData.damage !== undefined && hitData.damage !== damage) {
+            console.warn(`⚠️ Player ${socket.id} reported ${hitData.damage} damage, clamped to ${damage}`);
+        }
+
         const wasDestroyed = target.takeDamage(damage);
+        if (room.canScore()) {
+            player.hits++;
+        }
 
-        console.log(`Player ${socket.id} hit target ${targetId} for ${damage} damage. Health: ${target.health}/${target.maxHealth}`);
+        console.log(`Player ${socket.id} hit target ${targetId} (${zone}) for ${damage} damage. Health: ${target.health}/${target.maxHealth}`);
 
         if (wasDestroyed) {
             // Target destroyed
             console.log(`Target ${targetId} destroyed by player ${socket.id}`);
+
+            const scored = room.canScore();
+            if (scored) {
+                player.score += target.points;
+                player.kills++;
+                room.addTeamScore(player, target.points);
+            }
             
-            // Broadcast target destruction to all clients
-            io.emit('targetDestroyed', {
+            // Broadcast target destruction to all clients in the room
+            room.emit('targetDestroyed', {
                 targetId: targetId, // Already a string
-                playerId: socket.id,
-                points: target.points,
+                playerId: player.id,
+                points: scored ? target.points : 0,
+                playerScore: player.score,
                 timestamp: Date.now()
             });
 
+            if (scored) {
+                room.onScoreChanged(player);
+            }
+
             // Remove target from server state
-            gameState.targets.delete(targetId);
+            room.targets.delete(targetId);
 
             // Spawn a new target after a delay
             setTimeout(() => {
-                spawnNewTarget();
+                room.spawnNewTarget();
             }, 2000 + Math.random() * 3000);
 
         } else {
             // Target hit but not destroyed
-            // Broadcast hit event to all clients for visual feedback
-            io.emit('targetHit', {
+            // Broadcast hit event to all clients in the room for visual feedback
+            room.emit('targetHit', {
                 targetId: targetId, // Already a string
-                playerId: socket.id,
+                playerId: player.id,
                 damage: damage,
                 health: target.health,
                 maxHealth: target.maxHealth,
                 hitPoint: hitData.hitPoint,
+                zone: zone,
+                timestamp: Date.now()
+            });
+        }
+    });
+
+    // Handle a bullet hitting another player (PvP rooms only)
+    guard.on('playerHit', (hitData) => {
+        const room = getSocketRoom(socket);
+        const attacker = room && room.players[socket.data.playerId];
+        if (!attacker || !room.pvp) return;
+
+        const victim = room.players[hitData.targetPlayerId];
+        if (!victim || !victim.isAlive || victim.id === attacker.id) return;
+        if (!room.canDamage(attacker, victim)) return; // Friendly fire is off
+
+        // Same check as targets: one of the attacker's recent shots must pass through the victim
+        const victimPosition = room.getRewoundPosition(attacker, victim);
+        const shot = attacker.consumeShotHitting(victim, PVP_CONFIG.playerHitRadius, victimPosition);
+        if (!shot) {
+            attacker.rejectedHits++;
+            console.warn(`🚫 Rejected hit on player ${victim.id} from player ${socket.id} (${attacker.name}): no matching shot [rejected hits: ${attacker.rejectedHits}]`);
+            return;
+        }
+
+        const zone = confirmHitZone(hitData.zone, shot, PVP_CONFIG.hitboxes, victimPosition);
+        const damage = Math.round(getWeaponDefinition(shot.weapon).damage * Hitboxes.getMultiplier(PVP_CONFIG.hitZones, zone));
+        const died = victim.takeDamage(damage);
+        if (room.canScore()) {
+            attacker.hits++;
+        }
+
+        console.log(`⚔️ ${attacker.name} hit ${victim.name} (${zone}) for ${damage} damage. Health: ${victim.health}/${victim.maxHealth}`);
+
+        room.emit('playerDamaged', {
+            playerId: victim.id,
+            attackerId: attacker.id,
+            damage: damage,
+            zone: zone,
+            health: victim.health,
+            maxHealth: victim.maxHealth,
+            timestamp: Date.now()
+        });
+
+        if (died) {
+            const scored = room.canScore();
+            if (scored) {
+                attacker.playerKills++;
+                attacker.score += PVP_CONFIG.killPoints;
+            }
+
+            console.log(`💀 ${victim.name} was killed by ${attacker.name} in room "${room.name}"`);
+
+            room.emit('playerKilled', {
+                victimId: victim.id,
+                victimName: victim.name,
+                killerId: attacker.id,
+                killerName: attacker.name,
+                points: scored ? PVP_CONFIG.killPoints : 0,
+                killerScore: attacker.score,
+                respawnIn: PVP_CONFIG.respawnDelay,
                 timestamp: Date.now()
             });
+
+            if (scored) {
+                room.onScoreChanged(attacker);
+            }
         }
     });
 
     // Handle player disconnection
     socket.on('disconnect', (reason) => {
         console.log(`Player ${socket.id} disconnected: ${reason}`);
-        
-        // Remove player from game state
-        if (gameState.players[socket.id]) {
-            delete gameState.players[socket.id];
-            console.log(`Removed player ${socket.id} from game state`);
+        clearInterval(latencyTimer);
+
+        const room = getSocketRoom(socket);
+        const player = room && room.players[socket.data.playerId];
+        if (player && player.socketId === socket.id) {
+            suspendPlayer(room, player);
         }
-        
-        // Notify all other connected players about the disconnect
-        socket.broadcast.emit('playerLeft', socket.id);
-        console.log(`Notified other players about ${socket.id} leaving`);
-        
-        console.log(`Remaining players: ${Object.keys(gameState.players).length}`);
     });
 
     // Handle debug info from clients
-    socket.on('debugInfo', (debugData) => {
+    guard.on('debugInfo', (debugData) => {
         console.log(`🔧 DEBUG from player ${socket.id}: ${debugData.message}`);
     });
     
     // Handle manual target spawn requests for debugging
-    socket.on('debugSpawnTarget', (data) => {
-        console.log(`🔧 DEBUG: Manual target spawn requested by player ${socket.id}`);
-        spawnNewTarget();
-        console.log(`🔧 DEBUG: Manual target spawned. Total targets: ${gameState.targets.size}`);
+    guard.on('debugSpawnTarget', () => {
+        const room = getSocketRoom(socket);
+        if (!room) return;
+
+        if (room.targets.size >= ABUSE_CONFIG.maxDebugTargets) {
+            console.log(`🔧 DEBUG: Refused target spawn for player ${socket.id} in room "${room.name}" (${room.targets.size} targets already)`);
+            return;
+        }
+
+        console.log(`🔧 DEBUG: Manual target spawn requested by player ${socket.id} in room "${room.name}"`);
+        room.spawnNewTarget();
+        console.log(`🔧 DEBUG: Manual target spawned. Total targets: ${room.targets.size}`);
     });
 });
 
-// Periodic check to ensure targets always exist
-setInterval(() => {
-    if (gameState.targets.size === 0) {
-        console.log('⚠️ Server has no targets! Respawning initial targets...');
-        spawnInitialTargets();
-    }
-}, 30000); // Check every 30 seconds
-
-// Game loop - send updates to all clients
-let gameUpdateCount = 0;
+// Garbage-collect rooms that have been empty for too long
 setInterval(() => {
-    gameState.gameTime += TICK_INTERVAL;
-    gameUpdateCount++;
-    
-    // Send game state to all connected clients
-    const networkData = {
-        players: Object.values(gameState.players).map(p => p.toNetworkData()),
-        gameTime: gameState.gameTime
-    };
-    
-    // Log gameUpdate events occasionally (every 60 ticks = 1 second)
-    if (gameUpdateCount % 60 === 0 || gameUpdateCount <= 5) {
-        console.log(`🔄 gameUpdate #${gameUpdateCount}: ${networkData.players.length} players`);
-        if (networkData.players.length > 1) {
-            console.log('🔄 Players in update:', networkData.players.map(p => `${p.id.slice(-4)} at (${p.position.x.toFixed(1)},${p.position.y.toFixed(1)},${p.position.z.toFixed(1)})`));
+    const now = Date.now();
+    rooms.forEach((room, name) => {
+        if (!room.isPersistent && room.playerCount === 0 && now - room.emptySince > ROOM_EMPTY_TIMEOUT) {
+            console.log(`🧹 Removing room "${name}" (empty for ${Math.round((now - room.emptySince) / 1000)}s)`);
+            room.stop();
+            rooms.delete(name);
         }
-    }
-    
-    io.emit('gameUpdate', networkData);
-}, TICK_INTERVAL);
+    });
+}, ROOM_GC_INTERVAL);
 
 // Start server
 const PORT = process.env.PORT || 3001;
@@ -380,9 +2196,9 @@ server.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
     console.log(`Game server started - visit http://localhost:${PORT} to play`);
     
-    // Initialize targets after server starts
-    spawnInitialTargets();
-    console.log(`Spawned ${gameState.targets.size} initial targets`);
+    // The default room always exists so players can join without creating one
+    const defaultRoom = createRoom(DEFAULT_ROOM_NAME, { isPersistent: true });
+    console.log(`Spawned ${defaultRoom.targets.size} initial targets in room "${defaultRoom.name}"`);
 });
 
 // Graceful shutdown
@@ -0,0 +1,379 @@
+import * as THREE from 'three';
+
+// Aim trainer drills. Distances and offsets are in world units relative to where the player
+// stands and looks when the drill starts; durations are in seconds.
+export const AIM_DRILLS = {
+    gridshot: {
+        name: 'Gridshot',
+        description: 'Three cats at a time on a 3x3 grid, one shot each',
+        duration: 30,
+        distance: 22,
+        spacing: 5,
+        activeTargets: 3,
+        scale: 3,
+        hitRadius: 1.8,
+        health: 1
+    },
+    tracking: {
+        name: 'Tracking',
+        description: 'Keep your shots on a strafing cat',
+        duration: 30,
+        distance: 25,
+        activeTargets: 1,
+        scale: 4.5,
+        hitRadius: 2.7,
+        health: 150,
+        movement: { pattern: 'strafe', speed: [1.2, 1.8], range: [6, 9] }
+    },
+    flicking: {
+        name: 'Flicking',
+        description: 'One cat at a time, anywhere in front of you',
+        duration: 30,
+        distance: [18, 30],
+        spread: 14, // Max sideways offset...
+        height: [0, 7], // ...and height offset from eye level
+        activeTargets: 1,
+        scale: 3.5,
+        hitRadius: 2.1,
+        health: 1
+    },
+    microAdjust: {
+        name: 'Micro-adjust',
+        description: 'Small cats that reappear just next to the last one',
+        duration: 30,
+        distance: 30,
+        nudge: [1.5, 3.5], // How far the next cat appears from the previous one
+        spread: 6,
+        height: [0, 4],
+        activeTargets: 1,
+        scale: 2,
+        hitRadius: 1.2,
+        health: 1
+    }
+};
+
+const AIM_TRAINER_COUNTDOWN = 3000; // ms of "get ready" before the clock starts
+
+// Runs one drill at a time on the offline range: spawns its cats through the TargetManager,
+// listens to the weapon's shots and hits and collects accuracy, time-to-kill, reaction time
+// and where on the cats the hits landed.
+export class AimTrainer {
+    constructor(targetManager, weapon, player, offlineFallback) {
+        this.targetManager = targetManager;
+        this.weapon = weapon;
+        this.player = player;
+        this.offlineFallback = offlineFallback;
+
+        this.drillId = null;
+        this.drill = null;
+        this.phase = 'idle'; // idle -> countdown -> running -> idle
+        this.startAt = 0;
+        this.endAt = 0;
+        this.targets = new Set();
+        this.stats = null;
+        this.basis = null;
+
+        // Callbacks
+        this.onFinished = null; // (results)
+
+        if (this.weapon) {
+            this.weapon.onShoot = () => this.handleShot();
+        }
+
+        console.log('🎯 Aim trainer initialized');
+    }
+
+    isActive() {
+        return this.phase !== 'idle';
+    }
+
+    // Start a drill (offline only - online targets belong to the server)
+    start(drillId) {
+        const drill = AIM_DRILLS[drillId];
+        if (!drill) {
+            console.warn('⚠️ Unknown aim trainer drill:', drillId);
+            return false;
+        }
+        if (!this.offlineFallback || !this.offlineFallback.isOfflineMode) {
+            console.log('⚠️ Aim trainer is only available offline');
+            return false;
+        }
+        if (this.isActive()) {
+            this.stop();
+        }
+        if (this.offlineFallback.isSurvivalActive()) {
+            this.offlineFallback.stopSurvival();
+        }
+        this.offlineFallback.pauseRegularTargets();
+
+        this.drillId = drillId;
+        this.drill = drill;
+        this.phase = 'countdown';
+        this.startAt = performance.now() + AIM_TRAINER_COUNTDOWN;
+        this.endAt = this.startAt + drill.duration * 1000;
+        this.basis = this.captureBasis();
+        this.stats = {
+            shots: 0,
+            hits: 0,
+            kills: 0,
+            timesToKill: [],
+            reactionTimes: [],
+            hitOffsets: []
+        };
+
+        console.log(`🎯 Aim trainer: ${drill.name} starts in ${AIM_TRAINER_COUNTDOWN / 1000}s`);
+        return true;
+    }
+
+    // Abandon the drill without results
+    stop() {
+        if (!this.isActive()) return;
+
+        console.log(`🎯 Aim trainer: ${this.drill.name} stopped`);
+        this.cleanup();
+    }
+
+    cleanup() {
+        this.targets.forEach(target => this.targetManager.removeTarget(target));
+        this.targets.clear();
+        this.phase = 'idle';
+        this.drill = null;
+        this.drillId = null;
+
+        if (this.offlineFallback) {
+            this.offlineFallback.resumeRegularTargets();
+        }
+    }
+
+    // Drills are laid out in front of where the player looks when they start
+    captureBasis() {
+        const forward = new THREE.Vector3();
+        this.player.camera.getWorldDirection(forward);
+        forward.y = 0;
+        if (forward.lengthSq() < 0.0001) {
+            forward.set(0, 0, -1);
+        }
+        forward.normalize();
+
+        const up = new THREE.Vector3(0, 1, 0);
+        const right = new THREE.Vector3().crossVectors(forward, up).normalize();
+        return { origin: this.player.position.clone(), forward, right, up };
+    }
+
+    // World position `distance` ahead, `x` to the right and `y` above eye level
+    pointAt(x, y, distance) {
+        const { origin, forward, right, up } = this.basis;
+        return origin.clone()
+            .addScaledVector(forward, distance)
+            .addScaledVector(right, x)
+            .addScaledVector(up, y);
+    }
+
+    spawnTarget(position, cell = null) {
+        const drill = this.drill;
+        const target = this.targetManager.createTarget(position, {
+            type: 'standard',
+            scale: drill.scale,
+            health: drill.health
+        });
+        if (!target) return null;
+
+        target.userData.trainerTarget = true;
+        target.userData.hitRadius = drill.hitRadius; // Picked up by the weapon's collider scan
+        target.userData.cell = cell;
+        target.userData.spawnedAt = performance.now();
+        target.userData.firstShotAt = null;
+        target.userData.motion = null;
+
+        // Face the player
+        const origin = this.basis.origin;
+        target.rotation.y = Math.atan2(origin.x - position.x, origin.z - position.z);
+
+        if (drill.movement) {
+            // Strafe across the player's view, still facing them
+            target.userData.motion = TargetMotion.create(drill.movement, position);
+            target.userData.motion.heading = Math.atan2(this.basis.right.z, this.basis.right.x);
+            target.userData.motion.yaw = target.rotation.y;
+        }
+
+        // Record hits before the target system applies damage, then check for the kill
+        const onHit = target.userData.onHit;
+        target.userData.onHit = (hitInfo, sendToNetwork) => {
+            this.handleHit(target, hitInfo);
+            onHit(hitInfo, sendToNetwork);
+            if (target.userData.health <= 0) {
+                this.handleKill(target);
+            }
+        };
+
+        this.targets.add(target);
+        return target;
+    }
+
+    // Next target for the current drill; `previous` is the one just killed
+    spawnNext(previous = null) {
+        const drill = this.drill;
+        const roll = (range) => Array.isArray(range) ? range[0] + Math.random() * (range[1] - range[0]) : range;
+
+        switch (this.drillId) {
+            case 'gridshot': {
+                const taken = new Set(Array.from(this.targets).map(target => target.userData.cell));
+                if (previous) taken.add(previous.userData.cell); // Never in the same spot twice in a row
+                const free = [0, 1, 2, 3, 4, 5, 6, 7, 8].filter(cell => !taken.has(cell));
+                const cell = free[Math.floor(Math.random() * free.length)];
+                const x = ((cell % 3) - 1) * drill.spacing;
+                const y = (2 - Math.floor(cell / 3)) * drill.spacing; // Bottom row at eye level
+                return this.spawnTarget(this.pointAt(x, y, drill.distance), cell);
+            }
+            case 'tracking':
+                return this.spawnTarget(this.pointAt(0, 2, drill.distance));
+            case 'microAdjust': {
+                if (previous) {
+                    // Nudge from the last position, kept inside the drill area
+                    const angle = Math.random() * Math.PI * 2;
+                    const nudge = roll(drill.nudge);
+                    const lastX = previous.userData.drillX;
+                    const lastY = previous.userData.drillY;
+                    const x = Math.max(-drill.spread, Math.min(drill.spread, lastX + Math.cos(angle) * nudge));
+                    const y = Math.max(drill.height[0], Math.min(drill.height[1], lastY + Math.sin(angle) * nudge));
+                    return this.spawnAtOffset(x, y, drill.distance);
+                }
+                return this.spawnAtOffset(0, 2, drill.distance);
+            }
+            default: // 'flicking'
+                return this.spawnAtOffset(
+                    (Math.random() * 2 - 1) * drill.spread,
+                    roll(drill.height),
+                    roll(drill.distance)
+                );
+        }
+    }
+
+    spawnAtOffset(x, y, distance) {
+        const target = this.spawnTarget(this.pointAt(x, y, distance));
+        if (target) {
+            target.userData.drillX = x;
+            target.userData.drillY = y;
+        }
+        return target;
+    }
+
+    handleShot() {
+        if (this.phase !== 'running') return;
+
+        this.stats.shots++; // Per pellet, so a shotgun blast can land as many hits as it counts shots
+
+        // Reaction time: from a cat appearing to the first shot at it (single-target drills)
+        if (this.targets.size === 1) {
+            const [target] = this.targets;
+            if (target.userData.firstShotAt === null) {
+                target.userData.firstShotAt = performance.now();
+            }
+        }
+    }
+
+    handleHit(target, hitInfo) {
+        if (this.phase !== 'running' || !this.targets.has(target)) return;
+
+        this.stats.hits++;
+
+        // Offset from the target center in screen space, in hit radii (0 = dead center)
+        const camera = this.player.camera;
+        const offset = hitInfo.point.clone().sub(target.position);
+        const right = new THREE.Vector3().setFromMatrixColumn(camera.matrixWorld, 0);
+        const up = new THREE.Vector3().setFromMatrixColumn(camera.matrixWorld, 1);
+        const radius = target.userData.hitRadius || 1;
+        this.stats.hitOffsets.push({
+            x: offset.dot(right) / radius,
+            y: offset.dot(up) / radius
+        });
+    }
+
+    handleKill(target) {
+        if (!this.targets.has(target)) return;
+
+        const now = performance.now();
+        this.targets.delete(target);
+
+        if (this.phase !== 'running') return;
+
+        this.stats.kills++;
+        this.stats.timesToKill.push(now - target.userData.spawnedAt);
+        if (target.userData.firstShotAt !== null) {
+            this.stats.reactionTimes.push(target.userData.firstShotAt - target.userData.spawnedAt);
+        }
+
+        this.spawnNext(target);
+    }
+
+    // Call every frame
+    update() {
+        if (!this.isActive()) return;
+
+        const now = performance.now();
+
+        if (this.phase === 'countdown' && now >= this.startAt) {
+            if (!this.targetManager.isModelLoaded) return; // Wait for the cat model
+
+            console.log(`🎯 Aim trainer: ${this.drill.name} - go!`);
+            this.phase = 'running';
+            this.startAt = now;
+            this.endAt = now + this.drill.duration * 1000;
+            for (let i = 0; i < this.drill.activeTargets; i++) {
+                this.spawnNext();
+            }
+        }
+
+        if (this.phase === 'running' && now >= this.endAt) {
+            this.finish();
+        }
+    }
+
+    finish() {
+        const results = this.getResults();
+        console.log(`🎯 Aim trainer: ${results.name} finished - ${results.accuracy.toFixed(1)}% accuracy, ${results.kills} kills`);
+
+        this.cleanup();
+
+        if (this.onFinished) {
+            this.onFinished(results);
+        }
+    }
+
+    getResults() {
+        const stats = this.stats;
+        const average = (values) => values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+        const offsets = stats.hitOffsets;
+
+        return {
+            drill: this.drillId,
+            name: this.drill.name,
+            duration: this.drill.duration,
+            shots: stats.shots,
+            hits: stats.hits,
+            kills: stats.kills,
+            accuracy: stats.shots > 0 ? (stats.hits / stats.shots) * 100 : 0,
+            averageTimeToKill: average(stats.timesToKill),
+            averageReactionTime: average(stats.reactionTimes),
+            averageOffset: average(offsets.map(offset => Math.sqrt(offset.x * offset.x + offset.y * offset.y))),
+            hitOffsets: offsets.slice()
+        };
+    }
+
+    // For the HUD banner
+    getState() {
+        if (!this.isActive()) return null;
+
+        const now = performance.now();
+        return {
+            name: this.drill.name,
+            phase: this.phase,
+            timeLeft: this.phase === 'countdown' ? this.startAt - now : Math.max(0, this.endAt - now),
+            hits: this.stats.hits,
+            shots: this.stats.shots,
+            kills: this.stats.kills
+        };
+    }
+}
+
+export default AimTrainer;
@@ -0,0 +1,352 @@
+// Compact binary encoding for the hot network messages (playerInput, gameUpdate, playerShot)
+// Loaded as a plain script by the client and required by the server. Clients ask for it in the
+// socket.io handshake; anything that doesn't (or speaks another version) keeps using JSON.
+
+const CODEC_VERSION = 4; // 2: gameUpdate carries target positions, 3: playerShot carries the weapon, 4: uint32 netIds
+
+const MESSAGE_TYPES = {
+    playerInput: 1,
+    gameUpdate: 2,
+    playerShot: 3
+};
+
+// gameUpdate player record fields, in wire order. A bitmask says which ones an entry contains.
+const PLAYER_FIELDS = [
+    ['id', 'string'],
+    ['name', 'string'],
+    ['team', 'team'],
+    ['position', 'vec3'],
+    ['rotation', 'vec2'],
+    ['velocity', 'vec3'],
+    ['canJump', 'bool'],
+    ['lastInputSeq', 'uint32'],
+    ['health', 'float64'],
+    ['maxHealth', 'float64'],
+    ['isAlive', 'bool'],
+    ['score', 'int32'],
+    ['kills', 'uint32'],
+    ['playerKills', 'uint32'],
+    ['deaths', 'uint32'],
+    ['shotsFired', 'uint32'],
+    ['hits', 'uint32'],
+    ['accuracy', 'tenths'],
+    ['isMoving', 'bool'],
+    ['isCrouching', 'bool'],
+    ['isRunning', 'bool']
+];
+const PRECISE_VECTORS_FLAG = 0x80000000; // Vectors are float64 instead of quantized int32
+const TEAM_CODES = [null, 'red', 'blue'];
+const INPUT_FLAGS = { isMoving: 1, isCrouching: 2, isRunning: 4, hasName: 8 };
+
+class BinaryWriter {
+    constructor(size = 256) {
+        this.buffer = new ArrayBuffer(size);
+        this.view = new DataView(this.buffer);
+        this.offset = 0;
+    }
+
+    ensure(bytes) {
+        if (this.offset + bytes <= this.buffer.byteLength) return;
+
+        const grown = new ArrayBuffer(Math.max(this.buffer.byteLength * 2, this.offset + bytes));
+        new Uint8Array(grown).set(new Uint8Array(this.buffer));
+        this.buffer = grown;
+        this.view = new DataView(grown);
+    }
+
+    uint8(value) { this.ensure(1); this.view.setUint8(this.offset, value); this.offset += 1; }
+    uint16(value) { this.ensure(2); this.view.setUint16(this.offset, value); this.offset += 2; }
+    uint32(value) { this.ensure(4); this.view.setUint32(this.offset, value >>> 0); this.offset += 4; }
+    int32(value) { this.ensure(4); this.view.setInt32(this.offset, value | 0); this.offset += 4; }
+    float32(value) { this.ensure(4); this.view.setFloat32(this.offset, Number(value) || 0); this.offset += 4; }
+    float64(value) { this.ensure(8); this.view.setFloat64(this.offset, Number(value) || 0); this.offset += 8; }
+
+    string(value) {
+        const bytes = new TextEncoder().encode(String(value == null ? '' : value)).subarray(0, 255);
+        this.uint8(bytes.length);
+        this.ensure(bytes.length);
+        new Uint8Array(this.buffer, this.offset, bytes.length).set(bytes);
+        this.offset += bytes.length;
+    }
+
+    finish() {
+        return this.buffer.slice(0, this.offset);
+    }
+}
+
+class BinaryReader {
+    constructor(data) {
+        // Node gives us a Buffer, browsers an ArrayBuffer
+        if (ArrayBuffer.isView(data)) {
+            this.view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        } else {
+            this.view = new DataView(data);
+        }
+        this.offset = 0;
+    }
+
+    uint8() { const value = this.view.getUint8(this.offset); this.offset += 1; return value; }
+    uint16() { const value = this.view.getUint16(this.offset); this.offset += 2; return value; }
+    uint32() { const value = this.view.getUint32(this.offset); this.offset += 4; return value; }
+    int32() { const value = this.view.getInt32(this.offset); this.offset += 4; return value; }
+    float32() { const value = this.view.getFloat32(this.offset); this.offset += 4; return value; }
+    float64() { const value = this.view.getFloat64(this.offset); this.offset += 8; return value; }
+
+    string() {
+        const length = this.uint8();
+        const bytes = new Uint8Array(this.view.buffer, this.view.byteOffset + this.offset, length);
+        this.offset += length;
+        return new TextDecoder().decode(bytes);
+    }
+}
+
+class NetworkCodec {
+    static get VERSION() {
+        return CODEC_VERSION;
+    }
+
+    static isBinary(data) {
+        return data instanceof ArrayBuffer || ArrayBuffer.isView(data);
+    }
+
+    static encode(type, data) {
+        const writer = new BinaryWriter();
+        writer.uint8(CODEC_VERSION);
+        writer.uint8(MESSAGE_TYPES[type]);
+
+        switch (type) {
+            case 'playerInput':
+                NetworkCodec.writePlayerInput(writer, data);
+                break;
+            case 'gameUpdate':
+                NetworkCodec.writeGameUpdate(writer, data);
+                break;
+            case 'playerShot':
+                NetworkCodec.writePlayerShot(writer, data);
+                break;
+            default:
+                throw new Error(`Unknown message type: ${type}`);
+        }
+        return writer.finish();
+    }
+
+    // Returns null for anything we can't read (other version, unknown type, truncated)
+    static decode(data) {
+        try {
+            const reader = new BinaryReader(data);
+            if (reader.uint8() !== CODEC_VERSION) return null;
+
+            switch (reader.uint8()) {
+                case MESSAGE_TYPES.playerInput:
+                    return NetworkCodec.readPlayerInput(reader);
+                case MESSAGE_TYPES.gameUpdate:
+                    return NetworkCodec.readGameUpdate(reader);
+                case MESSAGE_TYPES.playerShot:
+                    return NetworkCodec.readPlayerShot(reader);
+                default:
+                    return null;
+            }
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Input frames keep float64 rotation/dt so the server replays exactly what the client predicted
+    static writePlayerInput(writer, data) {
+        const rotation = data.rotation || {};
+        const inputs = Array.isArray(data.inputs) ? data.inputs : [];
+        let flags = 0;
+        if (data.isMoving) flags |= INPUT_FLAGS.isMoving;
+        if (data.isCrouching) flags |= INPUT_FLAGS.isCrouching;
+        if (data.isRunning) flags |= INPUT_FLAGS.isRunning;
+        if (data.name) flags |= INPUT_FLAGS.hasName;
+
+        writer.uint32(data.ackSnapshot || 0);
+        writer.float32(rotation.x);
+        writer.float32(rotation.y);
+        writer.uint8(flags);
+        if (data.name) {
+            writer.string(data.name);
+        }
+
+        writer.uint16(inputs.length);
+        inputs.forEach(input => {
+            writer.uint32(input.seq);
+            writer.uint8(input.buttons);
+            writer.float64(input.rotationX);
+            writer.float64(input.rotationY);
+            writer.float64(input.dt);
+        });
+    }
+
+    static readPlayerInput(reader) {
+        const data = {
+            ackSnapshot: reader.uint32(),
+            rotation: { x: reader.float32(), y: reader.float32() }
+        };
+        const flags = reader.uint8();
+        data.isMoving = (flags & INPUT_FLAGS.isMoving) !== 0;
+        data.isCrouching = (flags & INPUT_FLAGS.isCrouching) !== 0;
+        data.isRunning = (flags & INPUT_FLAGS.isRunning) !== 0;
+        if (flags & INPUT_FLAGS.hasName) {
+            data.name = reader.string();
+        }
+
+        const count = reader.uint16();
+        data.inputs = [];
+        for (let i = 0; i < count; i++) {
+            data.inputs.push({
+                seq: reader.uint32(),
+                buttons: reader.uint8(),
+                rotationX: reader.float64(),
+                rotationY: reader.float64(),
+                dt: reader.float64()
+            });
+        }
+        return data;
+    }
+
+    static writeGameUpdate(writer, data) {
+        writer.uint32(data.snapshotId);
+        writer.uint32(data.baselineId);
+        writer.float64(data.gameTime);
+
+        writer.uint16(data.players.length);
+        data.players.forEach(entry => {
+            // Quantized vectors are whole numbers, our own player's aren't
+            const precise = ['position', 'rotation', 'velocity'].some(key =>
+                Array.isArray(entry[key]) && entry[key].some(value => !Number.isInteger(value)));
+
+            let mask = precise ? PRECISE_VECTORS_FLAG : 0;
+            PLAYER_FIELDS.forEach(([key], index) => {
+                if (entry[key] !== undefined) mask |= 1 << index;
+            });
+
+            writer.uint32(entry.n); // netIds only ever grow in a room, so no uint16
+            writer.uint32(mask);
+            PLAYER_FIELDS.forEach(([key, fieldType], index) => {
+                if (mask & (1 << index)) {
+                    NetworkCodec.writeField(writer, fieldType, entry[key], precise);
+                }
+            });
+        });
+
+        const left = data.left || [];
+        writer.uint16(left.length);
+        left.forEach(netId => writer.uint32(netId));
+
+        // Moving targets, always quantized
+        const targets = data.targets || [];
+        writer.uint16(targets.length);
+        targets.forEach(target => {
+            writer.uint32(target.id);
+            target.position.forEach(component => writer.int32(component));
+            writer.int32(target.yaw);
+        });
+    }
+
+    static readGameUpdate(reader) {
+        const data = {
+            snapshotId: reader.uint32(),
+            baselineId: reader.uint32(),
+            gameTime: reader.float64(),
+            players: [],
+            left: [],
+            targets: []
+        };
+
+        const count = reader.uint16();
+        for (let i = 0; i < count; i++) {
+            const entry = { n: reader.uint32() };
+            const mask = reader.uint32();
+            const precise = (mask & PRECISE_VECTORS_FLAG) !== 0;
+            PLAYER_FIELDS.forEach(([key, fieldType], index) => {
+                if (mask & (1 << index)) {
+                    entry[key] = NetworkCodec.readField(reader, fieldType, precise);
+                }
+            });
+            data.players.push(entry);
+        }
+
+        const leftCount = reader.uint16();
+        for (let i = 0; i < leftCount; i++) {
+            data.left.push(reader.uint32());
+        }
+
+        const targetCount = reader.uint16();
+        for (let i = 0; i < targetCount; i++) {
+            data.targets.push({
+                id: reader.uint32(),
+                position: [reader.int32(), reader.int32(), reader.int32()],
+                yaw: reader.int32()
+            });
+        }
+        return data;
+    }
+
+    static writePlayerShot(writer, data) {
+        writer.string(data.playerId);
+        ['x', 'y', 'z'].forEach(axis => writer.float32(data.position[axis]));
+        ['x', 'y', 'z'].forEach(axis => writer.float32(data.direction[axis]));
+        writer.string(data.weapon);
+        writer.float64(data.timestamp);
+    }
+
+    static readPlayerShot(reader) {
+        return {
+            playerId: reader.string(),
+            position: { x: reader.float32(), y: reader.float32(), z: reader.float32() },
+            direction: { x: reader.float32(), y: reader.float32(), z: reader.float32() },
+            weapon: reader.string(),
+            timestamp: reader.float64()
+        };
+    }
+
+    static writeField(writer, fieldType, value, precise) {
+        switch (fieldType) {
+            case 'string': writer.string(value); break;
+            case 'team': writer.uint8(Math.max(0, TEAM_CODES.indexOf(value))); break;
+            case 'bool': writer.uint8(value ? 1 : 0); break;
+            case 'uint32': writer.uint32(value); break;
+            case 'int32': writer.int32(value); break;
+            case 'float64': writer.float64(value); break;
+            case 'tenths': writer.uint16(Math.round((Number(value) || 0) * 10)); break;
+            case 'vec2':
+            case 'vec3':
+                value.forEach(component => precise ? writer.float64(component) : writer.int32(component));
+                break;
+        }
+    }
+
+    static readField(reader, fieldType, precise) {
+        switch (fieldType) {
+            case 'string': return reader.string();
+            case 'team': return TEAM_CODES[reader.uint8()] || null;
+            case 'bool': return reader.uint8() === 1;
+            case 'uint32': return reader.uint32();
+            case 'int32': return reader.int32();
+            case 'float64': return reader.float64();
+            case 'tenths': return reader.uint16() / 10;
+            case 'vec2':
+            case 'vec3': {
+                const length = fieldType === 'vec2' ? 2 : 3;
+                const vector = [];
+                for (let i = 0; i < length; i++) {
+                    vector.push(precise ? reader.float64() : reader.int32());
+                }
+                return vector;
+            }
+        }
+        return undefined;
+    }
+}
+
+// Make available globally for the browser
+if (typeof window !== 'undefined') {
+    window.NetworkCodec = NetworkCodec;
+}
+
+// Export for the server
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { NetworkCodec, CODEC_VERSION };
+}
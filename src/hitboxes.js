@@ -0,0 +1,184 @@
+// Hit zones for targets and players: axis-aligned boxes in the model's own space (before its
+// position, yaw and scale are applied), each belonging to a zone such as head or body.
+// Loaded as a plain script by the client, which derives the boxes from the loaded meshes and
+// sweeps bullets through them, and required by the server, which derives the same boxes from
+// the model file and checks the zone a client reports before applying its damage multiplier.
+
+const HITBOX_DEFAULT_ZONE = 'body';
+
+class Hitboxes {
+    // Zone boxes from per-mesh bounds. `meshes` is [{ name, min: [x, y, z], max: [x, y, z] }].
+    // A mesh named after a zone (e.g. "head") is that zone as a whole and the other meshes are
+    // body. A model without such names is split by `regions`: { zone, min, max } with min/max
+    // as fractions (0-1) of each mesh's box.
+    static build(meshes, zones, regions = []) {
+        const zoneNames = Object.keys(zones || {});
+        const zoneOf = (name) => zoneNames.find(zone => new RegExp(`(^|[^a-z])${zone}([^a-z]|$)`).test((name || '').toLowerCase())) || null;
+        const named = meshes.some(mesh => zoneOf(mesh.name));
+
+        if (named || regions.length === 0) {
+            return meshes.map(mesh => ({
+                zone: zoneOf(mesh.name) || HITBOX_DEFAULT_ZONE,
+                min: mesh.min.slice(),
+                max: mesh.max.slice()
+            }));
+        }
+
+        const boxes = [];
+        meshes.forEach(mesh => {
+            const size = [0, 1, 2].map(axis => mesh.max[axis] - mesh.min[axis]);
+            regions.forEach(region => {
+                boxes.push({
+                    zone: region.zone,
+                    min: [0, 1, 2].map(axis => mesh.min[axis] + size[axis] * region.min[axis]),
+                    max: [0, 1, 2].map(axis => mesh.min[axis] + size[axis] * region.max[axis])
+                });
+            });
+        });
+        return boxes;
+    }
+
+    // Per-mesh bounds of a three.js object in its own space (browser only), skipping anything
+    // under an object marked `userData.noHitbox` (name tags, outlines, held weapons)
+    static fromObject(root, zones, regions = []) {
+        root.updateMatrixWorld(true);
+        const meshes = [];
+
+        const visit = (object) => {
+            if (object.userData.noHitbox) return;
+
+            const position = object.isMesh && object.geometry && object.geometry.attributes.position;
+            if (position && position.count > 0) {
+                const min = [Infinity, Infinity, Infinity];
+                const max = [-Infinity, -Infinity, -Infinity];
+                for (let i = 0; i < position.count; i++) {
+                    const point = [position.getX(i), position.getY(i), position.getZ(i)];
+                    for (let axis = 0; axis < 3; axis++) {
+                        min[axis] = Math.min(min[axis], point[axis]);
+                        max[axis] = Math.max(max[axis], point[axis]);
+                    }
+                }
+
+                // Mesh space -> root space through the local matrices in between
+                let matrix = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+                for (let node = object; node && node !== root; node = node.parent) {
+                    matrix = Hitboxes.multiplyMatrices(node.matrix.elements, matrix);
+                }
+                meshes.push({ name: object.name, ...Hitboxes.transformBounds(matrix, min, max) });
+            }
+
+            object.children.forEach(visit);
+        };
+        visit(root);
+
+        return Hitboxes.build(meshes, zones, regions);
+    }
+
+    // Column-major 4x4 matrices (three.js and glTF both store them that way)
+    static multiplyMatrices(a, b) {
+        const result = new Array(16);
+        for (let column = 0; column < 4; column++) {
+            for (let row = 0; row < 4; row++) {
+                let sum = 0;
+                for (let k = 0; k < 4; k++) {
+                    sum += a[k * 4 + row] * b[column * 4 + k];
+                }
+                result[column * 4 + row] = sum;
+            }
+        }
+        return result;
+    }
+
+    // Axis-aligned bounds of a box after a transform (all eight corners)
+    static transformBounds(matrix, min, max) {
+        const result = { min: [Infinity, Infinity, Infinity], max: [-Infinity, -Infinity, -Infinity] };
+        for (let corner = 0; corner < 8; corner++) {
+            const local = [0, 1, 2].map(axis => (corner >> axis) & 1 ? max[axis] : min[axis]);
+            for (let axis = 0; axis < 3; axis++) {
+                const value = matrix[axis] * local[0] + matrix[4 + axis] * local[1] + matrix[8 + axis] * local[2] + matrix[12 + axis];
+                result.min[axis] = Math.min(result.min[axis], value);
+                result.max[axis] = Math.max(result.max[axis], value);
+            }
+        }
+        return result;
+    }
+
+    // Move a world point into the space of an entity at `position`, turned `yaw` around Y and
+    // uniformly scaled by `scale` (the inverse of how the entity's model is placed)
+    static toLocal(point, position, yaw = 0, scale = 1) {
+        const x = point.x - position.x;
+        const y = point.y - position.y;
+        const z = point.z - position.z;
+        const cos = Math.cos(yaw);
+        const sin = Math.sin(yaw);
+        return {
+            x: (x * cos - z * sin) / scale,
+            y: y / scale,
+            z: (x * sin + z * cos) / scale
+        };
+    }
+
+    // Fraction (0-1) along start -> end where the segment enters the box, or null if it misses.
+    // A segment starting inside the box enters at 0. `padding` grows the box on every side.
+    static segmentEntersBox(start, end, box, padding = 0) {
+        const from = [start.x, start.y, start.z];
+        const delta = [end.x - start.x, end.y - start.y, end.z - start.z];
+        let enter = 0;
+        let exit = 1;
+
+        for (let axis = 0; axis < 3; axis++) {
+            const min = box.min[axis] - padding;
+            const max = box.max[axis] + padding;
+            if (Math.abs(delta[axis]) < 1e-9) {
+                if (from[axis] < min || from[axis] > max) return null; // Parallel and outside
+                continue;
+            }
+            let near = (min - from[axis]) / delta[axis];
+            let far = (max - from[axis]) / delta[axis];
+            if (near > far) [near, far] = [far, near];
+            enter = Math.max(enter, near);
+            exit = Math.min(exit, far);
+            if (enter > exit) return null;
+        }
+        return enter;
+    }
+
+    // First box the segment enters: { zone, t } or null. On a tie the box listed first wins.
+    static intersectSegment(boxes, start, end, padding = 0) {
+        let hit = null;
+        boxes.forEach(box => {
+            const t = Hitboxes.segmentEntersBox(start, end, box, padding);
+            if (t !== null && (!hit || t < hit.t)) {
+                hit = { zone: box.zone, t };
+            }
+        });
+        return hit;
+    }
+
+    // Distance from the model's origin to the farthest box corner: a sphere that holds every box
+    static getRadius(boxes) {
+        let radius = 0;
+        boxes.forEach(box => {
+            const x = Math.max(Math.abs(box.min[0]), Math.abs(box.max[0]));
+            const y = Math.max(Math.abs(box.min[1]), Math.abs(box.max[1]));
+            const z = Math.max(Math.abs(box.min[2]), Math.abs(box.max[2]));
+            radius = Math.max(radius, Math.sqrt(x * x + y * y + z * z));
+        });
+        return radius;
+    }
+
+    static getMultiplier(zones, zone) {
+        const definition = zones && zones[zone];
+        return definition && typeof definition.multiplier === 'number' ? definition.multiplier : 1;
+    }
+}
+
+// Make available globally for the browser
+if (typeof window !== 'undefined') {
+    window.Hitboxes = Hitboxes;
+}
+
+// Export for the server
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Hitboxes };
+}
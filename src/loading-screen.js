@@ -7,6 +7,9 @@ class LoadingScreen {
         this.systemsList = null;
         this.startButton = null;
         this.isVisible = false;
+        this.rooms = [];
+        this.selectedRoom = 'Main';
+        this.leaderboardPeriod = 'all';
         
         this.createLoadingScreen();
         this.setupEventListeners();
@@ -144,6 +147,21 @@ class LoadingScreen {
         this.nameContainer.appendChild(nameLabel);
         this.nameContainer.appendChild(this.nameInput);
 
+        this.createLobby();
+        this.createLeaderboard();
+
+        // Name input and leaderboard side by side
+        this.nameRow = document.createElement('div');
+        this.nameRow.style.cssText = `
+            display: flex;
+            gap: 1rem;
+            align-items: flex-start;
+            text-align: left;
+        `;
+        this.nameContainer.style.flex = '1';
+        this.nameRow.appendChild(this.nameContainer);
+        this.nameRow.appendChild(this.leaderboardPanel);
+
         // Systems list
         this.systemsList = document.createElement('div');
         this.systemsList.style.cssText = `
@@ -193,7 +211,8 @@ class LoadingScreen {
         loadingContainer.appendChild(progressContainer);
         loadingContainer.appendChild(this.percentageText);
         loadingContainer.appendChild(this.systemsList);
-        loadingContainer.appendChild(this.nameContainer);
+        loadingContainer.appendChild(this.nameRow);
+        loadingContainer.appendChild(this.lobbyContainer);
         loadingContainer.appendChild(this.startButton);
         
         this.element.appendChild(title);
@@ -203,6 +222,332 @@ class LoadingScreen {
         document.body.appendChild(this.element);
     }
 
+    // Room lobby (shown together with the name input when loading is complete)
+    createLobby() {
+        this.lobbyContainer = document.createElement('div');
+        this.lobbyContainer.style.cssText = `
+            margin-top: 1.5rem;
+            text-align: left;
+            display: none;
+        `;
+
+        const lobbyHeader = document.createElement('div');
+        lobbyHeader.style.cssText = `
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            margin-bottom: 0.5rem;
+        `;
+
+        const lobbyLabel = document.createElement('span');
+        lobbyLabel.textContent = 'Rooms:';
+
+        this.refreshButton = document.createElement('button');
+        this.refreshButton.textContent = '🔄 Refresh';
+        this.refreshButton.style.cssText = `
+            background: rgba(255,255,255,0.1);
+            border: 1px solid rgba(255,255,255,0.3);
+            color: white;
+            padding: 0.3rem 0.8rem;
+            border-radius: 6px;
+            cursor: pointer;
+        `;
+        this.refreshButton.addEventListener('click', () => this.refreshRooms());
+
+        lobbyHeader.appendChild(lobbyLabel);
+        lobbyHeader.appendChild(this.refreshButton);
+
+        // Room list
+        this.roomList = document.createElement('div');
+        this.roomList.style.cssText = `
+            max-height: 150px;
+            overflow-y: auto;
+            background: rgba(0,0,0,0.2);
+            border-radius: 8px;
+            padding: 0.5rem;
+            font-size: 0.9em;
+        `;
+
+        // Password for joining a locked room
+        this.joinPasswordInput = this.createLobbyInput('Room password');
+        this.joinPasswordInput.style.display = 'none';
+
+        // Create a new room
+        const createLabel = document.createElement('div');
+        createLabel.textContent = 'Or create a room:';
+        createLabel.style.cssText = `
+            margin: 1rem 0 0.5rem 0;
+        `;
+
+        this.createNameInput = this.createLobbyInput('New room name (leave blank to join selected)');
+        this.createNameInput.maxLength = 24;
+        this.createPasswordInput = this.createLobbyInput('Password (optional)');
+
+        // Room options - rooms without PvP are target practice only
+        const pvpOption = this.createLobbyCheckbox('⚔️ Player vs player (players can shoot each other)');
+        this.createPvpCheckbox = pvpOption.checkbox;
+        const teamOption = this.createLobbyCheckbox('🎽 Team mode (Red vs Blue, shared team score)');
+        this.createTeamCheckbox = teamOption.checkbox;
+        const friendlyFireOption = this.createLobbyCheckbox('🔥 Friendly fire (teammates can damage each other)');
+        this.createFriendlyFireCheckbox = friendlyFireOption.checkbox;
+
+        // Error message from the server (wrong password, name taken, ...)
+        this.lobbyError = document.createElement('div');
+        this.lobbyError.style.cssText = `
+            margin-top: 0.5rem;
+            color: #ff6b6b;
+            font-size: 0.9em;
+            display: none;
+        `;
+
+        this.lobbyContainer.appendChild(lobbyHeader);
+        this.lobbyContainer.appendChild(this.roomList);
+        this.lobbyContainer.appendChild(this.joinPasswordInput);
+        this.lobbyContainer.appendChild(createLabel);
+        this.lobbyContainer.appendChild(this.createNameInput);
+        this.lobbyContainer.appendChild(this.createPasswordInput);
+        this.lobbyContainer.appendChild(pvpOption.label);
+        this.lobbyContainer.appendChild(teamOption.label);
+        this.lobbyContainer.appendChild(friendlyFireOption.label);
+        this.lobbyContainer.appendChild(this.lobbyError);
+    }
+
+    // Best players stored by the server (shown next to the name input)
+    createLeaderboard() {
+        this.leaderboardPanel = document.createElement('div');
+        this.leaderboardPanel.style.cssText = `
+            flex: 1;
+            margin-top: 1.5rem;
+            background: rgba(0,0,0,0.2);
+            border-radius: 8px;
+            padding: 0.8rem;
+            font-size: 0.85em;
+            display: none;
+        `;
+
+        const header = document.createElement('div');
+        header.style.cssText = `
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            margin-bottom: 0.5rem;
+        `;
+
+        const title = document.createElement('span');
+        title.textContent = '🏆 Leaderboard';
+        title.style.fontWeight = 'bold';
+
+        const periodButtons = document.createElement('div');
+        this.periodButtons = {};
+        [['day', 'Today'], ['week', 'Week'], ['all', 'All']].forEach(([period, label]) => {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.style.cssText = `
+                background: transparent;
+                border: 1px solid rgba(255,255,255,0.3);
+                color: white;
+                padding: 0.2rem 0.5rem;
+                margin-left: 0.3rem;
+                border-radius: 6px;
+                cursor: pointer;
+                font-size: 0.9em;
+            `;
+            button.addEventListener('click', () => {
+                this.leaderboardPeriod = period;
+                this.refreshLeaderboard();
+            });
+            this.periodButtons[period] = button;
+            periodButtons.appendChild(button);
+        });
+
+        header.appendChild(title);
+        header.appendChild(periodButtons);
+
+        this.leaderboardList = document.createElement('div');
+        this.leaderboardList.style.cssText = `
+            max-height: 160px;
+            overflow-y: auto;
+        `;
+
+        this.leaderboardPanel.appendChild(header);
+        this.leaderboardPanel.appendChild(this.leaderboardList);
+    }
+
+    async refreshLeaderboard() {
+        // Highlight the selected period
+        Object.entries(this.periodButtons).forEach(([period, button]) => {
+            button.style.background = period === this.leaderboardPeriod ? 'rgba(78, 205, 196, 0.4)' : 'transparent';
+        });
+
+        try {
+            const response = await fetch(`/api/leaderboard?period=${this.leaderboardPeriod}`);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const data = await response.json();
+            this.renderLeaderboard(data.players || []);
+        } catch (error) {
+            console.warn('⚠️ Could not load leaderboard:', error);
+            this.leaderboardList.innerHTML = '<div style="opacity: 0.7;">Leaderboard unavailable offline</div>';
+        }
+    }
+
+    renderLeaderboard(players) {
+        this.leaderboardList.innerHTML = '';
+
+        if (players.length === 0) {
+            this.leaderboardList.innerHTML = '<div style="opacity: 0.7;">No matches played yet</div>';
+            return;
+        }
+
+        players.forEach((entry, index) => {
+            const row = document.createElement('div');
+            row.style.cssText = `
+                display: flex;
+                justify-content: space-between;
+                padding: 0.2rem 0;
+                border-bottom: 1px solid rgba(255,255,255,0.1);
+            `;
+
+            const nameSpan = document.createElement('span');
+            nameSpan.textContent = `${index + 1}. ${entry.name}`;
+
+            const statsSpan = document.createElement('span');
+            statsSpan.textContent = `${entry.bestScore} pts · ${entry.kills} kills · ${entry.accuracy.toFixed(1)}%`;
+            statsSpan.style.color = '#f9ca24';
+
+            row.appendChild(nameSpan);
+            row.appendChild(statsSpan);
+            this.leaderboardList.appendChild(row);
+        });
+    }
+
+    createLobbyCheckbox(text) {
+        const label = document.createElement('label');
+        label.style.cssText = `
+            display: block;
+            margin-top: 0.5rem;
+            font-size: 0.9em;
+            cursor: pointer;
+        `;
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.style.marginRight = '0.5rem';
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(text));
+        return { label, checkbox };
+    }
+
+    createLobbyInput(placeholder) {
+        const input = document.createElement('input');
+        input.type = placeholder.toLowerCase().includes('password') ? 'password' : 'text';
+        input.placeholder = placeholder;
+        input.style.cssText = `
+            width: 100%;
+            box-sizing: border-box;
+            padding: 0.6rem;
+            margin-top: 0.5rem;
+            border: 2px solid rgba(255,255,255,0.3);
+            border-radius: 8px;
+            background: rgba(255,255,255,0.1);
+            color: white;
+            font-size: 0.9em;
+            outline: none;
+        `;
+        return input;
+    }
+
+    // Fetch the room list from the server
+    async refreshRooms() {
+        try {
+            const response = await fetch('/api/rooms');
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const data = await response.json();
+            this.rooms = data.rooms || [];
+            console.log(`🏠 Loaded ${this.rooms.length} rooms`);
+        } catch (error) {
+            console.warn('⚠️ Could not load room list:', error);
+            this.rooms = [];
+            this.roomList.innerHTML = '<div style="opacity: 0.7;">Server unavailable - the game will start in offline mode</div>';
+            return;
+        }
+
+        this.renderRooms();
+    }
+
+    renderRooms() {
+        this.roomList.innerHTML = '';
+
+        if (this.rooms.length === 0) {
+            this.roomList.innerHTML = '<div style="opacity: 0.7;">No rooms yet - create one below</div>';
+            return;
+        }
+
+        this.rooms.forEach(room => {
+            const roomItem = document.createElement('div');
+            const isSelected = room.name === this.selectedRoom;
+            roomItem.style.cssText = `
+                display: flex;
+                justify-content: space-between;
+                padding: 0.4rem;
+                border-radius: 6px;
+                cursor: pointer;
+                background: ${isSelected ? 'rgba(78, 205, 196, 0.3)' : 'transparent'};
+            `;
+
+            const nameSpan = document.createElement('span');
+            nameSpan.textContent = `${room.hasPassword ? '🔒 ' : ''}${room.pvp ? '⚔️ ' : ''}${room.teamMode ? '🎽 ' : ''}${room.name}`;
+
+            const countSpan = document.createElement('span');
+            countSpan.textContent = `👥 ${room.playerCount}`;
+
+            roomItem.appendChild(nameSpan);
+            roomItem.appendChild(countSpan);
+            roomItem.addEventListener('click', () => {
+                this.selectedRoom = room.name;
+                this.renderRooms();
+            });
+
+            this.roomList.appendChild(roomItem);
+        });
+
+        // Only ask for a password when the selected room needs one
+        const selected = this.rooms.find(room => room.name === this.selectedRoom);
+        this.joinPasswordInput.style.display = selected && selected.hasPassword ? 'block' : 'none';
+    }
+
+    // Room the player wants to join or create
+    getRoomSelection() {
+        const newRoomName = this.createNameInput.value.trim().replace(/[<>]/g, '');
+
+        if (newRoomName.length > 0) {
+            return {
+                room: newRoomName,
+                password: this.createPasswordInput.value || null,
+                pvp: this.createPvpCheckbox.checked,
+                teamMode: this.createTeamCheckbox.checked,
+                friendlyFire: this.createFriendlyFireCheckbox.checked,
+                create: true
+            };
+        }
+
+        return {
+            room: this.selectedRoom,
+            password: this.joinPasswordInput.value || null,
+            create: false
+        };
+    }
+
+    // Bring the lobby back when the server refused the room selection
+    showLobbyError(message) {
+        this.lobbyError.textContent = `❌ ${message}`;
+        this.lobbyError.style.display = 'block';
+        this.show();
+        this.refreshRooms();
+    }
+
     setupEventListeners() {
         // Connect to loading manager
         if (window.gameLoadingManager) {
@@ -221,8 +566,10 @@ class LoadingScreen {
             const playerName = this.getPlayerName();
             console.log('🎮 Starting game with player name:', playerName);
             
-            // Store player name globally
+            // Store player name and room choice globally
             window.gamePlayerName = playerName;
+            window.gameRoomSelection = this.getRoomSelection();
+            this.lobbyError.style.display = 'none';
             
             this.hide();
             // Allow the game to start
@@ -307,6 +654,10 @@ class LoadingScreen {
         // Show name input and start button
         this.nameContainer.style.display = 'block';
         this.startButton.style.display = 'block';
+        this.lobbyContainer.style.display = 'block';
+        this.leaderboardPanel.style.display = 'block';
+        this.refreshRooms();
+        this.refreshLeaderboard();
         
         // Focus on name input
         setTimeout(() => {
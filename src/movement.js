@@ -0,0 +1,131 @@
+// Shared player movement model
+// Loaded as a plain script by the client (prediction) and required by the server (authority),
+// so both sides run exactly the same physics for a given input frame.
+
+const MOVEMENT_CONFIG = {
+    speed: 12.0,
+    walkSpeed: 6.0,
+    runSpeed: 20.0,
+    jumpVelocity: 15.0,
+    damping: 8.0,
+    gravity: 30.0,
+    height: 1.6,
+    crouchHeight: 0.8,
+    maxFrameTime: 0.1 // Longer frames are clamped to prevent large jumps
+};
+
+// Input buttons packed into a single bitmask per input frame
+const MOVEMENT_BUTTONS = {
+    forward: 1,
+    backward: 2,
+    left: 4,
+    right: 8,
+    jump: 16,
+    run: 32,
+    crouch: 64
+};
+
+class PlayerMovement {
+    static packButtons(keys) {
+        let buttons = 0;
+        Object.keys(MOVEMENT_BUTTONS).forEach(key => {
+            if (keys[key]) buttons |= MOVEMENT_BUTTONS[key];
+        });
+        return buttons;
+    }
+
+    static isPressed(buttons, key) {
+        return (buttons & MOVEMENT_BUTTONS[key]) !== 0;
+    }
+
+    // Advance state { position, velocity, canJump } by one input frame { buttons, rotationX, rotationY, dt }.
+    // Velocity x/z are in view space (like camera.translateX/Z), y is world space.
+    static step(state, input, config = MOVEMENT_CONFIG) {
+        const delta = Math.min(Math.max(Number(input.dt) || 0, 0), config.maxFrameTime);
+        const buttons = input.buttons | 0;
+        const position = state.position;
+        const velocity = state.velocity;
+        const result = { jumped: false, landed: false };
+
+        const forward = PlayerMovement.isPressed(buttons, 'forward');
+        const backward = PlayerMovement.isPressed(buttons, 'backward');
+        const left = PlayerMovement.isPressed(buttons, 'left');
+        const right = PlayerMovement.isPressed(buttons, 'right');
+        const isCrouching = PlayerMovement.isPressed(buttons, 'crouch');
+        const isRunning = PlayerMovement.isPressed(buttons, 'run');
+
+        if (PlayerMovement.isPressed(buttons, 'jump') && state.canJump) {
+            velocity.y += config.jumpVelocity;
+            state.canJump = false;
+            result.jumped = true;
+        }
+
+        // Apply gravity
+        velocity.y -= config.gravity * delta;
+
+        // Apply damping to horizontal movement
+        velocity.x -= velocity.x * config.damping * delta;
+        velocity.z -= velocity.z * config.damping * delta;
+
+        // Determine current speed based on state
+        let currentSpeed = config.speed;
+        if (isRunning && !isCrouching) {
+            currentSpeed = config.runSpeed;
+        } else if (isCrouching) {
+            currentSpeed = config.walkSpeed * 0.5;
+        }
+
+        // Normalized movement direction
+        let directionZ = Number(forward) - Number(backward);
+        let directionX = Number(left) - Number(right);
+        const length = Math.sqrt(directionX * directionX + directionZ * directionZ);
+        if (length > 0) {
+            directionX /= length;
+            directionZ /= length;
+        }
+
+        if (forward || backward) {
+            velocity.z -= directionZ * currentSpeed * delta;
+        }
+        if (left || right) {
+            velocity.x -= directionX * currentSpeed * delta;
+        }
+
+        // Move along the view axes (yaw then pitch, same as the camera's 'YXZ' rotation)
+        const pitch = Number(input.rotationX) || 0;
+        const yaw = Number(input.rotationY) || 0;
+        const cosPitch = Math.cos(pitch);
+        const moveX = velocity.x * delta;
+        const moveZ = velocity.z * delta;
+
+        position.x += Math.cos(yaw) * moveX + Math.sin(yaw) * cosPitch * moveZ;
+        position.y += -Math.sin(pitch) * moveZ;
+        position.z += -Math.sin(yaw) * moveX + Math.cos(yaw) * cosPitch * moveZ;
+
+        // Move vertically
+        position.y += velocity.y * delta;
+
+        // Prevent falling through the world
+        const minHeight = isCrouching ? config.crouchHeight : config.height;
+        if (position.y < minHeight) {
+            result.landed = !state.canJump;
+            position.y = minHeight;
+            velocity.y = 0;
+            state.canJump = true;
+        }
+
+        return result;
+    }
+}
+
+// Make available globally for the browser
+if (typeof window !== 'undefined') {
+    window.PlayerMovement = PlayerMovement;
+    window.MOVEMENT_CONFIG = MOVEMENT_CONFIG;
+    window.MOVEMENT_BUTTONS = MOVEMENT_BUTTONS;
+}
+
+// Export for the server
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PlayerMovement, MOVEMENT_CONFIG, MOVEMENT_BUTTONS };
+}
@@ -1,5 +1,12 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { ReconnectionManager } from './reconnection.js';
+
+// Team colors for team mode rooms (body/outline tint and name tag)
+export const TEAM_COLORS = {
+    red: 0xff4d4d,
+    blue: 0x4d79ff
+};
 
 // Client-side networking for multiplayer
 export class NetworkManager {
@@ -8,8 +15,38 @@ export class NetworkManager {
         this.isConnected = false;
         this.playerId = null;
         this.otherPlayers = new Map();
+        this.localPlayerData = null; // Our own state as seen by the server (score, stats)
+        this.localTeam = null; // 'red' or 'blue' in team mode rooms
+        this.teamScores = { red: 0, blue: 0 };
         this.lastSentUpdate = 0;
         this.updateRate = 1000 / 20; // Send updates 20 times per second
+        this.snapshotStates = new Map(); // snapshotId -> Map(netId -> player record), for delta decoding
+        this.latestSnapshotId = 0; // Acknowledged back to the server with our inputs
+        this.maxSnapshotStates = 120; // Same history the server keeps
+        this.networkConfig = { positionPrecision: 100, rotationPrecision: 1000 };
+        this.gameTimeOffset = null; // Server gameTime minus local performance.now()
+        
+        // Clock sync: periodic pings estimate RTT, jitter, packet loss and the server clock offset
+        this.clockSyncInterval = 1000;
+        this.clockSyncTimeout = 2000; // Pings without a reply by then count as lost
+        this.clockSyncWindow = 20; // Samples used for offset and packet loss
+        this.clockSyncTimer = null;
+        this.clockSamples = []; // { rtt, offset }
+        this.pingResults = []; // true = answered, false = lost
+        this.serverTimeOffset = null; // Server Date.now() minus local performance.now()
+        this.ping = null;
+        this.jitter = 0;
+        this.packetLoss = 0;
+        this.interpolationDelay = 100; // Remote players are rendered this many ms in the past
+        // Binary codec for the hot messages unless unavailable or disabled with ?codec=json
+        this.preferBinaryCodec = typeof window.NetworkCodec !== 'undefined' &&
+            new URLSearchParams(window.location.search).get('codec') !== 'json';
+        this.codec = 'json'; // What the server agreed to
+        this.roomSelection = null; // { room, password, create } chosen in the lobby
+        this.currentRoom = null;
+        this.sessionToken = null; // Lets us take our player back after a reconnect
+        this.reconnection = null; // Backoff and retries after the connection drops mid-game
+        this.reconnectionOptions = { maxAttempts: 5, baseDelay: 1000, maxDelay: 16000 };
         
         // Shared ammo model for all remote players
         this.ammoModel = null;
@@ -24,11 +61,26 @@ export class NetworkManager {
         this.onPlayerLeft = null;
         this.onPlayerUpdate = null;
         this.onPlayerShot = null;
+        this.onPlayerReload = null;
         this.onTargetHit = null;
+        this.onHitRejected = null;
         this.onTargetDestroyed = null;
         this.onTargetSpawned = null;
+        this.onTargetsUpdate = null;
         this.onGameStateReceived = null;
         this.onConnectionChange = null;
+        this.onJoinRoomError = null;
+        this.onMatchPhase = null;
+        this.onPlayerDamaged = null;
+        this.onPlayerKilled = null;
+        this.onPlayerRespawned = null;
+        this.onTeamChanged = null;
+        this.onTeamScore = null;
+        this.onLocalPlayerUpdate = null;
+        this.onNetworkStats = null;
+        this.onReconnecting = null;
+        this.onReconnected = null;
+        this.onReconnectFailed = null;
     }
 
     async initializeAmmoModel() {
@@ -83,13 +135,19 @@ export class NetworkManager {
         console.log('🔫 Created fallback ammo model for remote players');
     }
 
-    connect() {
+    connect(roomSelection = null) {
+        this.roomSelection = roomSelection;
+
         // Connect to server (adapt to current location)
         const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
         const host = window.location.host || 'localhost:3000';
         
         console.log('Connecting to server at:', window.location.origin);
-        this.socket = io(); // Connect to same origin
+        this.socket = io({ // Connect to same origin
+            auth: this.preferBinaryCodec ? { codec: 'binary', codecVersion: window.NetworkCodec.VERSION } : {},
+            reconnection: false, // ReconnectionManager decides when (and whether) to retry
+            timeout: 5000
+        });
 
         this.socket.on('connect', () => {
             console.log('🟢 Connected to server');
@@ -97,11 +155,18 @@ export class NetworkManager {
             if (this.onConnectionChange) {
                 this.onConnectionChange(true);
             }
+            this.startClockSync();
+
+            // Players only receive game state once they are in a room
+            this.joinRoom(this.roomSelection);
         });
 
         this.socket.on('disconnect', (reason) => {
             console.log('🔴 Disconnected from server:', reason);
             this.isConnected = false;
+            this.currentRoom = null;
+            this.stopClockSync();
+            this.reconnection.handleDisconnect(reason);
             if (this.onConnectionChange) {
                 this.onConnectionChange(false);
             }
@@ -111,14 +176,57 @@ export class NetworkManager {
             console.error('❌ Connection error:', error);
         });
 
+        this.reconnection = new ReconnectionManager(this.socket, this.reconnectionOptions);
+        this.reconnection.onAttempt = (attempt, maxAttempts, delay) => {
+            if (this.onReconnecting) {
+                this.onReconnecting(attempt, maxAttempts, delay);
+            }
+        };
+        this.reconnection.onReconnected = (attempts) => {
+            if (this.onReconnected) {
+                this.onReconnected(attempts);
+            }
+        };
+        this.reconnection.onGiveUp = (attempts) => {
+            if (this.onReconnectFailed) {
+                this.onReconnectFailed(attempts);
+            }
+        };
+
         // Handle initial game state
         this.socket.on('gameState', (gameState) => {
             console.log('📦 Received initial game state:', gameState);
             this.playerId = gameState.yourId;
+            this.currentRoom = gameState.room || null;
+            this.sessionToken = gameState.sessionToken || null;
+            if (gameState.resumed) {
+                console.log('▶️ Resumed previous session as', this.playerId);
+            }
+            this.codec = gameState.codec || 'json';
+            this.gameTimeOffset = null; // Every room has its own clock
+            this.syncGameTime(gameState.gameTime);
+            this.snapshotStates.clear(); // ...and its own snapshot sequence
+            this.latestSnapshotId = 0;
+            if (gameState.network) {
+                this.networkConfig = gameState.network;
+            }
+            this.teamScores = gameState.teamScores || { red: 0, blue: 0 };
+
+            // Rejoin the same room (without re-creating it) if the connection drops
+            if (this.currentRoom && this.roomSelection) {
+                this.roomSelection.room = this.currentRoom.name;
+                this.roomSelection.create = false;
+            }
+
+            // Players from a previous room are no longer relevant
+            this.otherPlayers.clear();
             
             // Set up other players
             gameState.players.forEach(playerData => {
-                if (playerData.id !== this.playerId) {
+                if (playerData.id === this.playerId) {
+                    this.localPlayerData = playerData;
+                    this.localTeam = playerData.team || null;
+                } else {
                     console.log('👤 Adding existing player:', playerData.id);
                     this.otherPlayers.set(playerData.id, playerData);
                 }
@@ -129,11 +237,86 @@ export class NetworkManager {
             }
         });
 
+        this.socket.on('joinRoomError', (errorData) => {
+            console.warn('🚪 Could not join room:', errorData.message);
+            if (this.onJoinRoomError) {
+                this.onJoinRoomError(errorData);
+            }
+        });
+
+        // PvP events
+        this.socket.on('playerDamaged', (damageData) => {
+            if (this.onPlayerDamaged) {
+                this.onPlayerDamaged(damageData);
+            }
+        });
+
+        this.socket.on('playerKilled', (killData) => {
+            console.log(`💀 ${killData.killerName} killed ${killData.victimName}`);
+            if (this.onPlayerKilled) {
+                this.onPlayerKilled(killData);
+            }
+        });
+
+        this.socket.on('playerRespawned', (respawnData) => {
+            if (this.onPlayerRespawned) {
+                this.onPlayerRespawned(respawnData);
+            }
+        });
+
+        // Team mode events
+        this.socket.on('teamChanged', (teamData) => {
+            console.log(`🎽 Player ${teamData.playerId} moved to team ${teamData.team}`);
+            if (teamData.playerId === this.playerId) {
+                this.localTeam = teamData.team;
+            }
+            if (this.onTeamChanged) {
+                this.onTeamChanged(teamData);
+            }
+        });
+
+        this.socket.on('teamScore', (scoreData) => {
+            this.teamScores = scoreData.teamScores;
+            if (this.onTeamScore) {
+                this.onTeamScore(scoreData.teamScores);
+            }
+        });
+
+        // Match lifecycle changes (warmup, live, overtime, results)
+        this.socket.on('matchPhase', (matchData) => {
+            console.log(`⏱️ Match phase: ${matchData.phase} (${Math.round(matchData.timeRemaining / 1000)}s)`);
+            if (matchData.teamScores) {
+                this.teamScores = matchData.teamScores;
+            }
+            if (this.onMatchPhase) {
+                this.onMatchPhase(matchData);
+            }
+        });
+
+        // Round trip measurement for server-side lag compensation
+        this.socket.on('latencyCheck', (sentAt, ack) => {
+            if (typeof ack === 'function') ack();
+        });
+
         // Handle game updates
         this.socket.on('gameUpdate', (gameData) => {
-            if (gameData.players.length > 1) { // Only log when there are multiple players
-                console.log('🔄 Game update received, players:', gameData.players.length);
-                gameData.players.forEach(playerData => {
+            if (this.isBinaryMessage(gameData)) {
+                gameData = window.NetworkCodec.decode(gameData);
+                if (!gameData) return;
+            }
+            this.syncGameTime(gameData.gameTime);
+            
+            // Moving targets come with every few updates
+            if (gameData.targets && gameData.targets.length > 0 && this.onTargetsUpdate) {
+                this.onTargetsUpdate(gameData.targets.map(target => this.decodeTargetSnapshot(target)), gameData.gameTime);
+            }
+            
+            // Only the players that changed are in the update
+            const players = this.applySnapshot(gameData);
+            
+            if (players.length > 1) { // Only log when there are multiple players
+                console.log('🔄 Game update received, players:', players.length);
+                players.forEach(playerData => {
                     if (playerData.id !== this.playerId) {
                         console.log(`🔄 Update for player ${playerData.id}:`, {
                             position: playerData.position,
@@ -143,9 +326,17 @@ export class NetworkManager {
                 });
             }
             
-            gameData.players.forEach(playerData => {
+            players.forEach(playerData => {
                 if (playerData.id !== this.playerId) {
+                    playerData.gameTime = gameData.gameTime; // Snapshot timestamp for interpolation
                     this.otherPlayers.set(playerData.id, playerData);
+                } else {
+                    this.localPlayerData = playerData;
+                    this.localTeam = playerData.team || null;
+
+                    if (this.onLocalPlayerUpdate) {
+                        this.onLocalPlayerUpdate(playerData);
+                    }
                 }
             });
 
@@ -181,11 +372,23 @@ export class NetworkManager {
 
         // Handle player shooting
         this.socket.on('playerShot', (shotData) => {
+            if (this.isBinaryMessage(shotData)) {
+                shotData = window.NetworkCodec.decode(shotData);
+                if (!shotData) return;
+            }
+            shotData.age = Math.max(0, this.serverTime() - shotData.timestamp); // ms since the server relayed it
             if (this.onPlayerShot) {
                 this.onPlayerShot(shotData);
             }
         });
 
+        // Handle player reloading (for the reload animation)
+        this.socket.on('playerReload', (reloadData) => {
+            if (this.onPlayerReload) {
+                this.onPlayerReload(reloadData);
+            }
+        });
+
         // Handle target hits
         this.socket.on('targetHit', (hitData) => {
             if (this.onTargetHit) {
@@ -193,6 +396,14 @@ export class NetworkManager {
             }
         });
 
+        // Handle hits the server refused to validate
+        this.socket.on('hitRejected', (rejectData) => {
+            console.warn('🚫 Server rejected hit on target:', rejectData.targetId);
+            if (this.onHitRejected) {
+                this.onHitRejected(rejectData);
+            }
+        });
+
         // Handle target destruction
         this.socket.on('targetDestroyed', (destroyData) => {
             if (this.onTargetDestroyed) {
@@ -215,15 +426,218 @@ export class NetworkManager {
         });
     }
 
+    // All players in the room with their server-side stats, best score first
+    getScoreboard() {
+        const players = Array.from(this.otherPlayers.values());
+        if (this.localPlayerData) {
+            players.push(this.localPlayerData);
+        }
+        return players.sort((a, b) => (b.score || 0) - (a.score || 0));
+    }
+
+    isBinaryMessage(data) {
+        return this.preferBinaryCodec && window.NetworkCodec.isBinary(data);
+    }
+
+    // Rebuild full player records from a delta snapshot; returns the players it updated
+    applySnapshot(gameData) {
+        let records;
+        if (gameData.baselineId) {
+            const baseline = this.snapshotStates.get(gameData.baselineId);
+            if (!baseline) {
+                console.warn(`⚠️ Missing baseline snapshot ${gameData.baselineId}, waiting for a full update`);
+                return [];
+            }
+            records = new Map(baseline);
+        } else {
+            records = new Map();
+        }
+        
+        (gameData.left || []).forEach(netId => records.delete(netId));
+        
+        const updated = gameData.players.map(delta => {
+            const record = { ...records.get(delta.n), ...delta };
+            records.set(delta.n, record);
+            return this.decodePlayerRecord(record);
+        });
+        
+        // Older snapshots can't be used as a baseline anymore
+        this.snapshotStates.set(gameData.snapshotId, records);
+        this.snapshotStates.forEach((state, snapshotId) => {
+            if (snapshotId < gameData.baselineId || this.snapshotStates.size > this.maxSnapshotStates) {
+                this.snapshotStates.delete(snapshotId);
+            }
+        });
+        this.latestSnapshotId = Math.max(this.latestSnapshotId, gameData.snapshotId);
+        
+        return updated;
+    }
+    
+    // Quantized target snapshot -> { id, position, yaw } in world units
+    decodeTargetSnapshot(target) {
+        const positionScale = this.networkConfig.positionPrecision;
+        return {
+            id: target.id.toString(), // Target ids are strings on the client
+            position: {
+                x: target.position[0] / positionScale,
+                y: target.position[1] / positionScale,
+                z: target.position[2] / positionScale
+            },
+            yaw: target.yaw / this.networkConfig.rotationPrecision
+        };
+    }
+    
+    // Snapshot record -> the playerData shape used everywhere else (our own record isn't quantized)
+    decodePlayerRecord(record) {
+        const precise = record.id === this.playerId;
+        const positionScale = precise ? 1 : this.networkConfig.positionPrecision;
+        const rotationScale = precise ? 1 : this.networkConfig.rotationPrecision;
+        
+        return {
+            ...record,
+            position: { x: record.position[0] / positionScale, y: record.position[1] / positionScale, z: record.position[2] / positionScale },
+            rotation: { x: record.rotation[0] / rotationScale, y: record.rotation[1] / rotationScale },
+            velocity: { x: record.velocity[0] / positionScale, y: record.velocity[1] / positionScale, z: record.velocity[2] / positionScale }
+        };
+    }
+
+    startClockSync() {
+        this.stopClockSync();
+        this.clockSamples = [];
+        this.pingResults = [];
+        this.sendClockPing();
+        this.clockSyncTimer = setInterval(() => this.sendClockPing(), this.clockSyncInterval);
+    }
+
+    stopClockSync() {
+        if (this.clockSyncTimer) {
+            clearInterval(this.clockSyncTimer);
+            this.clockSyncTimer = null;
+        }
+        this.ping = null;
+        this.jitter = 0;
+        this.packetLoss = 0;
+    }
+
+    sendClockPing() {
+        if (!this.socket || !this.isConnected) return;
+
+        const sentAt = performance.now();
+        this.socket.timeout(this.clockSyncTimeout).emit('clockPing', (err, serverNow) => {
+            if (err || typeof serverNow !== 'number') {
+                this.recordPingResult(false);
+                return;
+            }
+
+            const now = performance.now();
+            const rtt = now - sentAt;
+
+            // Jitter is the smoothed change between consecutive round trips
+            if (this.ping !== null) {
+                this.jitter += (Math.abs(rtt - this.ping) - this.jitter) / 4;
+            }
+            this.ping = this.ping === null ? rtt : this.ping * 0.75 + rtt * 0.25;
+
+            // Assume the reply took half the round trip; the fastest round trip gives the best estimate
+            this.clockSamples.push({ rtt, offset: serverNow + rtt / 2 - now });
+            if (this.clockSamples.length > this.clockSyncWindow) {
+                this.clockSamples.shift();
+            }
+            const best = this.clockSamples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+            this.serverTimeOffset = best.offset;
+
+            this.recordPingResult(true);
+        });
+    }
+
+    recordPingResult(answered) {
+        this.pingResults.push(answered);
+        if (this.pingResults.length > this.clockSyncWindow) {
+            this.pingResults.shift();
+        }
+        const lost = this.pingResults.filter(result => !result).length;
+        this.packetLoss = Math.round((lost / this.pingResults.length) * 100);
+
+        if (this.onNetworkStats) {
+            this.onNetworkStats(this.getNetworkStats());
+        }
+    }
+
+    getNetworkStats() {
+        return {
+            ping: this.ping === null ? null : Math.round(this.ping),
+            jitter: Math.round(this.jitter),
+            packetLoss: this.packetLoss,
+            serverTimeOffset: this.serverTimeOffset
+        };
+    }
+
+    // Current server clock (its Date.now()) as estimated from ours
+    serverTime() {
+        if (this.serverTimeOffset === null) return Date.now(); // Best guess until the first pong
+        return performance.now() + this.serverTimeOffset;
+    }
+
+    // Track the room's gameTime against our local clock. Late packets only nudge the
+    // estimate so jitter doesn't make remote players speed up and slow down.
+    syncGameTime(gameTime) {
+        if (typeof gameTime !== 'number') return;
+
+        const offset = gameTime - performance.now();
+        if (this.gameTimeOffset === null || offset > this.gameTimeOffset) {
+            this.gameTimeOffset = offset;
+        } else {
+            this.gameTimeOffset += (offset - this.gameTimeOffset) * 0.01;
+        }
+    }
+
+    // Current server gameTime as estimated from our clock
+    getGameTime() {
+        return this.gameTimeOffset === null ? null : performance.now() + this.gameTimeOffset;
+    }
+
+    // Time remote players are rendered at
+    getRenderTime() {
+        const gameTime = this.getGameTime();
+        return gameTime === null ? null : gameTime - this.interpolationDelay;
+    }
+
+    joinRoom(roomSelection = null) {
+        if (!this.socket) return;
+
+        const selection = roomSelection || {};
+        this.roomSelection = selection;
+
+        console.log(`🚪 Joining room "${selection.room || 'Main'}"${selection.create ? ' (create)' : ''}`);
+        this.socket.emit('joinRoom', {
+            room: selection.room,
+            password: selection.password,
+            create: !!selection.create,
+            pvp: !!selection.pvp,
+            teamMode: !!selection.teamMode,
+            friendlyFire: !!selection.friendlyFire,
+            name: window.gamePlayerName,
+            interpolationDelay: this.interpolationDelay, // Lets the server rewind hits to what we saw
+            sessionToken: this.sessionToken
+        });
+    }
+
     sendPlayerInput(inputData) {
-        if (!this.isConnected || !this.socket) return;
+        if (!this.isConnected || !this.socket) return false;
 
         const now = Date.now();
         if (now - this.lastSentUpdate >= this.updateRate) {
-            this.socket.emit('playerInput', inputData);
+            inputData.ackSnapshot = this.latestSnapshotId;
+            if (this.codec === 'binary') {
+                this.socket.emit('playerInput', window.NetworkCodec.encode('playerInput', inputData));
+            } else {
+                this.socket.emit('playerInput', inputData);
+            }
             this.lastSentUpdate = now;
             // Uncomment for debugging: console.log('📤 Sent player input');
+            return true;
         }
+        return false;
     }
 
     sendPlayerShoot(shootData) {
@@ -232,13 +646,49 @@ export class NetworkManager {
         this.socket.emit('playerShoot', shootData);
     }
 
+    sendPlayerReload(reloadData) {
+        if (!this.isConnected || !this.socket) return;
+        
+        this.socket.emit('playerReload', reloadData);
+    }
+
     sendTargetHit(hitData) {
         if (!this.isConnected || !this.socket) return;
         
         this.socket.emit('targetHit', hitData);
     }
 
+    sendPlayerHit(hitData) {
+        if (!this.isConnected || !this.socket) return;
+        
+        this.socket.emit('playerHit', hitData);
+    }
+
+    isPvpEnabled() {
+        return !!(this.isConnected && this.currentRoom && this.currentRoom.pvp);
+    }
+
+    isTeamMode() {
+        return !!(this.isConnected && this.currentRoom && this.currentRoom.teamMode);
+    }
+
+    // Teammates can't be damaged unless the room has friendly fire on
+    isFriendly(team) {
+        return this.isTeamMode() && !this.currentRoom.friendlyFire && !!team && team === this.localTeam;
+    }
+
+    isReconnecting() {
+        return !!(this.reconnection && this.reconnection.isReconnecting);
+    }
+
+    getTimeUntilReconnect() {
+        return this.reconnection ? this.reconnection.getTimeUntilRetry() : 0;
+    }
+
     disconnect() {
+        if (this.reconnection) {
+            this.reconnection.cancel();
+        }
         if (this.socket) {
             this.socket.disconnect();
         }
@@ -250,6 +700,7 @@ export class RemotePlayer {
     constructor(scene, playerData, networkManager = null) {
         this.id = playerData.id;
         this.name = playerData.name || 'Guest'; // Store player name
+        this.team = playerData.team || null; // Team mode only
         this.scene = scene;
         this.loader = new GLTFLoader();
         this.weapon = null;
@@ -296,10 +747,16 @@ export class RemotePlayer {
             0
         );
         
-        // Interpolation for smooth movement
+        // Latest received state
         this.targetPosition = this.networkPosition.clone();
         this.targetRotation = this.networkRotation.clone();
         
+        // Timestamped server snapshots, rendered networkManager.interpolationDelay in the past
+        this.snapshots = [];
+        this.maxSnapshotAge = 1000; // ms of history to keep
+        this.maxExtrapolation = 200; // ms to keep moving when the buffer runs dry
+        this.pushSnapshot(playerData.gameTime);
+        
         // Set initial mesh position to match network position immediately to prevent slow interpolation from origin
         if (this.mesh) {
             this.mesh.position.copy(this.networkPosition);
@@ -311,6 +768,69 @@ export class RemotePlayer {
         this.isMoving = playerData.isMoving || false;
         this.isCrouching = playerData.isCrouching || false;
         this.isRunning = playerData.isRunning || false;
+
+        // Reload animation, started by a playerReload event
+        this.reload = null; // { startedAt, duration }
+
+        // Combat state
+        this.health = playerData.health !== undefined ? playerData.health : 100;
+        this.isAlive = playerData.isAlive !== false;
+        this.setAlive(this.isAlive);
+
+        // Make this player hittable in PvP rooms
+        if (this.mesh && networkManager && networkManager.isPvpEnabled() && window.weapon) {
+            window.weapon.registerPlayerTarget(this.mesh, this.id);
+        }
+        this.updateFriendlyState();
+    }
+
+    // Re-tint body, outline and name tag for a new team
+    setTeam(team) {
+        this.team = team;
+        const color = TEAM_COLORS[team];
+        if (color !== undefined && this.mesh) {
+            this.mesh.material.color.setHex(color);
+            if (this.outline) {
+                this.outline.material.color.setHex(color);
+            }
+        }
+        this.updateNameTag();
+        this.updateFriendlyState();
+    }
+
+    // Teammates are skipped by our bullets when friendly fire is off
+    updateFriendlyState() {
+        if (this.mesh && this.networkManager) {
+            this.mesh.userData.isFriendly = this.networkManager.isFriendly(this.team);
+        }
+    }
+
+    getNameTagColor() {
+        return this.team === 'red' ? '#ff6b6b' : this.team === 'blue' ? '#6b8cff' : 'white';
+    }
+
+    // Dead players are hidden and can't be hit until they respawn
+    setAlive(alive) {
+        this.isAlive = alive;
+        if (!alive) {
+            this.reload = null;
+        }
+        if (this.mesh) {
+            this.mesh.visible = alive;
+            this.mesh.userData.isDead = !alive; // Weapon and name tag are children of the mesh
+        }
+    }
+
+    respawnAt(position) {
+        this.targetPosition.set(position.x, position.y, position.z);
+        if (this.mesh) {
+            this.mesh.position.copy(this.targetPosition);
+        }
+        // Don't interpolate across the map from the death position
+        this.snapshots = [];
+        this.pushSnapshot();
+        this.health = 100;
+        this.setAlive(true);
     }
 
     async initializeAmmoModel() {
@@ -327,9 +847,9 @@ export class RemotePlayer {
         // Create a simple player representation using basic geometries
         // CapsuleGeometry was added in later versions, so we'll use a combination of cylinder + spheres
         
-        // Generate a random color for this player
+        // Team color in team mode, otherwise a random color for this player
         const colors = [0x4ecdc4, 0xff6b6b, 0xf9ca24, 0x6c5ce7, 0xa29bfe, 0xfd79a8, 0x00b894, 0xe84393];
-        const playerColor = colors[Math.floor(Math.random() * colors.length)];
+        const playerColor = TEAM_COLORS[this.team] || colors[Math.floor(Math.random() * colors.length)];
         
         // Main body (cylinder)
         const bodyGeometry = new THREE.CylinderGeometry(0.3, 0.3, 1.4, 8);
@@ -355,6 +875,7 @@ export class RemotePlayer {
             opacity: 0.9
         });
         this.head = new THREE.Mesh(headGeometry, headMaterial);
+        this.head.name = 'head'; // Head hit zone (PVP_CONFIG.hitboxes on the server)
         this.head.position.set(0, 0.95, 0);
         this.mesh.add(this.head);
         
@@ -367,6 +888,7 @@ export class RemotePlayer {
             side: THREE.BackSide
         });
         this.outline = new THREE.Mesh(outlineGeometry, outlineMaterial);
+        this.outline.userData.noHitbox = true; // Just a glow, bullets go through it
         this.mesh.add(this.outline);
         
         // Add name tag (optional)
@@ -387,7 +909,7 @@ export class RemotePlayer {
         
         // Set text properties
         context.font = 'Bold 24px Arial';
-        context.fillStyle = 'white';
+        context.fillStyle = this.getNameTagColor();
         context.strokeStyle = 'black';
         context.lineWidth = 2;
         context.textAlign = 'center';
@@ -420,6 +942,7 @@ export class RemotePlayer {
         
         // Make name tag always face the camera
         this.nameTag.userData.isBillboard = true;
+        this.nameTag.userData.noHitbox = true;
         
         this.mesh.add(this.nameTag);
         
@@ -439,7 +962,7 @@ export class RemotePlayer {
         
         // Set text properties
         context.font = 'Bold 24px Arial';
-        context.fillStyle = 'white';
+        context.fillStyle = this.getNameTagColor();
         context.strokeStyle = 'black';
         context.lineWidth = 2;
         context.textAlign = 'center';
@@ -470,6 +993,7 @@ export class RemotePlayer {
         try {
             const gltf = await this.loader.loadAsync('models/ak47.glb');
             this.weapon = gltf.scene;
+            this.weapon.userData.noHitbox = true;
             
             // Scale and position the weapon
             this.weapon.scale.set(0.8, 0.8, 0.8);
@@ -511,6 +1035,7 @@ export class RemotePlayer {
         weaponGroup.rotation.set(0, Math.PI / 2, 0);
         
         this.weapon = weaponGroup;
+        this.weapon.userData.noHitbox = true;
         if (this.mesh) {
             this.mesh.add(this.weapon);
         }
@@ -696,6 +1221,27 @@ export class RemotePlayer {
         }
     }
 
+    // Handle a reload event from this remote player
+    onReload(reloadData) {
+        if (reloadData.state === 'start') {
+            this.reload = { startedAt: performance.now(), duration: reloadData.duration * 1000 };
+        } else {
+            this.reload = null;
+        }
+    }
+
+    // Dip and tilt the weapon while reloading (0 when not reloading)
+    getReloadPose() {
+        if (!this.reload) return 0;
+        
+        const progress = (performance.now() - this.reload.startedAt) / this.reload.duration;
+        if (progress >= 1) {
+            this.reload = null; // In case the finish event got lost
+            return 0;
+        }
+        return Math.sin(progress * Math.PI);
+    }
+
     createMuzzleFlash() {
         if (!this.weapon) return;
         
@@ -755,23 +1301,7 @@ export class RemotePlayer {
         return this.isStale;
     }
 
-    // Enhanced method to detect if this player might be a reconnection duplicate
-    isPotentialReconnectionDuplicate(newPlayerPosition, threshold = 3) {
-        if (!this.mesh || !newPlayerPosition) return false;
-        
-        const distance = this.mesh.position.distanceTo(new THREE.Vector3(
-            newPlayerPosition.x,
-            newPlayerPosition.y,
-            newPlayerPosition.z
-        ));
-        
-        const timeSinceUpdate = Date.now() - this.lastUpdateTime;
-        const isStale = timeSinceUpdate > 3000; // 3 seconds without updates
-        
-        return distance < threshold && isStale;
-    }
-
-    // Mark this player for immediate cleanup (used when detecting reconnection)
+    // Mark this player for immediate cleanup (used when it has gone stale)
     markForCleanup(reason = 'unknown') {
         console.log(`🗑️ Marking remote player ${this.id} for cleanup: ${reason}`);
         this.isStale = true;
@@ -837,6 +1367,21 @@ export class RemotePlayer {
             console.log('📍 Large position change detected for remote player', this.id, '- snapping to new position');
             this.mesh.position.copy(this.targetPosition);
             this.mesh.rotation.y = this.targetRotation.y;
+            this.snapshots = [];
+        }
+        
+        this.pushSnapshot(playerData.gameTime);
+        
+        if (playerData.team !== undefined && playerData.team !== this.team) {
+            this.setTeam(playerData.team);
+        }
+        
+        // Death and respawn also arrive through playerKilled/playerRespawned, this keeps late joiners in sync
+        if (playerData.isAlive !== undefined && playerData.isAlive !== this.isAlive) {
+            this.setAlive(playerData.isAlive);
+        }
+        if (playerData.health !== undefined) {
+            this.health = playerData.health;
         }
         
         // Update state flags
@@ -856,41 +1401,91 @@ export class RemotePlayer {
         }
     }
 
+    // Store the latest received state, stamped with the server gameTime it was sent at
+    pushSnapshot(gameTime) {
+        let time = typeof gameTime === 'number' ? gameTime : null;
+        if (time === null && this.networkManager) {
+            time = this.networkManager.getGameTime();
+        }
+        if (time === null) {
+            time = performance.now();
+        }
+        
+        const last = this.snapshots[this.snapshots.length - 1];
+        if (last && time <= last.time) return; // Duplicate or out of order
+        
+        this.snapshots.push({
+            time: time,
+            position: this.targetPosition.clone(),
+            rotationX: this.targetRotation.x,
+            rotationY: this.targetRotation.y
+        });
+        
+        // Drop history we can no longer render
+        while (this.snapshots.length > 2 && time - this.snapshots[0].time > this.maxSnapshotAge) {
+            this.snapshots.shift();
+        }
+    }
+    
+    // Interpolate between the two snapshots around renderTime (or extrapolate a little past the newest)
+    sampleSnapshots(renderTime) {
+        const snapshots = this.snapshots;
+        const newest = snapshots[snapshots.length - 1];
+        
+        if (snapshots.length === 1 || renderTime === null) {
+            return { position: newest.position.clone(), rotationX: newest.rotationX, rotationY: newest.rotationY };
+        }
+        
+        if (renderTime <= snapshots[0].time) {
+            const oldest = snapshots[0];
+            return { position: oldest.position.clone(), rotationX: oldest.rotationX, rotationY: oldest.rotationY };
+        }
+        
+        let from = snapshots[snapshots.length - 2];
+        let to = newest;
+        for (let i = 0; i < snapshots.length - 1; i++) {
+            if (snapshots[i].time <= renderTime && renderTime <= snapshots[i + 1].time) {
+                from = snapshots[i];
+                to = snapshots[i + 1];
+                break;
+            }
+        }
+        
+        // Past the newest snapshot the same formula extrapolates, bounded by maxExtrapolation
+        const clampedTime = Math.min(renderTime, newest.time + this.maxExtrapolation);
+        const alpha = (clampedTime - from.time) / (to.time - from.time);
+        
+        return {
+            position: from.position.clone().lerp(to.position, alpha),
+            rotationX: THREE.MathUtils.lerp(from.rotationX, to.rotationX, Math.min(alpha, 1)),
+            rotationY: this.lerpAngle(from.rotationY, to.rotationY, Math.min(alpha, 1))
+        };
+    }
+    
+    // Lerp yaw along the shortest way around the circle
+    lerpAngle(from, to, alpha) {
+        let difference = to - from;
+        while (difference > Math.PI) difference -= 2 * Math.PI;
+        while (difference < -Math.PI) difference += 2 * Math.PI;
+        return from + difference * alpha;
+    }
+    
     update(deltaTime) {
-        if (!this.mesh) return;
-        
-        // Calculate distance to target for adaptive interpolation
-        const distanceToTarget = this.mesh.position.distanceTo(this.targetPosition);
-        
-        // Use faster interpolation for large distances (e.g., when player just joined or teleported)
-        let interpolationSpeed = deltaTime * 10; // Default speed
-        if (distanceToTarget > 5) {
-            // If player is very far from target, use much faster interpolation or snap immediately
-            interpolationSpeed = deltaTime * 50; // 5x faster
-            console.log('🏃 Fast interpolation for remote player', this.id, 'distance:', distanceToTarget.toFixed(2));
-        } else if (distanceToTarget > 1) {
-            // Medium distance, use faster interpolation
-            interpolationSpeed = deltaTime * 20; // 2x faster
-        }
-        
-        // Interpolate position
-        this.mesh.position.lerp(this.targetPosition, Math.min(interpolationSpeed, 1.0));
-        
-        // Interpolate rotation (only Y axis for looking around)
-        this.mesh.rotation.y = THREE.MathUtils.lerp(
-            this.mesh.rotation.y,
-            this.targetRotation.y,
-            deltaTime * 10
-        );
+        if (!this.mesh || this.snapshots.length === 0) return;
+        
+        const renderTime = this.networkManager ? this.networkManager.getRenderTime() : null;
+        const sample = this.sampleSnapshots(renderTime);
+        
+        this.mesh.position.copy(sample.position);
+        this.mesh.rotation.y = sample.rotationY;
         
         // Update weapon rotation to match player looking direction
         if (this.weapon) {
-            // Make weapon follow player's pitch (up/down look)
-            this.weapon.rotation.x = THREE.MathUtils.lerp(
-                this.weapon.rotation.x,
-                this.targetRotation.x * 0.5, // Dampen the pitch movement
-                deltaTime * 8
-            );
+            // Make weapon follow player's pitch (up/down look), lowered and rolled while reloading
+            const reloadPose = this.getReloadPose();
+            this.weapon.rotation.x = sample.rotationX * 0.5 - reloadPose * 0.6; // Dampen the pitch movement
+            this.weapon.rotation.z = reloadPose * 0.5;
+            this.weapon.position.y = 0.2 - reloadPose * 0.15;
         }
         
         // Make name tag always face the camera
@@ -902,6 +1497,10 @@ export class RemotePlayer {
     destroy() {
         console.log('🧹 Destroying remote player:', this.playerId);
         
+        if (this.mesh && window.weapon) {
+            window.weapon.unregisterPlayerTarget(this.mesh);
+        }
+        
         if (this.mesh) {
             console.log('🧹 Removing player mesh from scene');
             this.scene.remove(this.mesh);
@@ -38,6 +38,36 @@ export class OfflineFallbackSystem {
         // Track spawned targets for cleanup
         this.offlineTargets = new Set();
         
+        // Survival mode: waves of cats walk toward the player and hurt on contact
+        this.survivalConfig = {
+            maxHealth: 100,
+            spawnRadius: 40,        // Cats appear on a ring this far from the player...
+            arenaLimit: 90,         // ...clamped to the 200x200 floor
+            spawnHeight: 1.5,
+            contactRadius: 3,       // Horizontal distance at which a cat "bites"
+            contactCooldown: 1000,  // ms between bites from the same cat
+            baseCount: 4,           // Cats in wave 1...
+            countPerWave: 2,        // ...plus this many every wave
+            baseSpeed: 3,           // Walk speed (units/s) in wave 1...
+            speedPerWave: 0.4,      // ...plus this every wave...
+            maxSpeed: 9,            // ...up to this
+            spawnInterval: 800,     // ms between cats within a wave
+            waveBreak: 4000,        // ms between waves
+            // Spawn table used from each wave on (last match wins)
+            waveTables: [
+                { fromWave: 1, table: 'survivalEarly' },
+                { fromWave: 3, table: 'survivalMid' },
+                { fromWave: 6, table: 'survivalLate' }
+            ]
+        };
+        this.survival = null; // Current run state, null when not playing survival
+        this.regularTargetsPaused = false; // Survival or the aim trainer owns the range
+        
+        // Survival callbacks (set by scene.js)
+        this.onSurvivalUpdate = null; // (state)
+        this.onSurvivalDamaged = null; // (health, maxHealth, damage)
+        this.onSurvivalEnded = null; // (result)
+        
         console.log('🔄 Offline fallback system initialized with original game properties');
     }
     
@@ -87,6 +117,12 @@ export class OfflineFallbackSystem {
         console.log('🌐 Deactivating offline mode - switching to multiplayer');
         this.isOfflineMode = false;
         
+        // Abandon a survival run without a results screen
+        if (this.survival) {
+            this.stopSurvival();
+        }
+        this.regularTargetsPaused = false;
+        
         // Stop spawning offline targets
         if (this.spawnTimer) {
             clearInterval(this.spawnTimer);
@@ -131,7 +167,7 @@ export class OfflineFallbackSystem {
         
         // Start regular spawning
         this.spawnTimer = setInterval(() => {
-            if (this.targetCount < this.maxTargets) {
+            if (!this.regularTargetsPaused && this.targetCount < this.maxTargets) {
                 this.spawnOfflineTarget();
             }
         }, this.spawnInterval);
@@ -146,7 +182,9 @@ export class OfflineFallbackSystem {
         // Use the exact same positions as the original spawnInitialTargets
         this.originalSpawnPositions.forEach((pos, index) => {
             setTimeout(() => {
-                this.spawnOfflineTargetAtPosition(pos, index);
+                if (this.isOfflineMode && !this.regularTargetsPaused) {
+                    this.spawnOfflineTargetAtPosition(pos, index);
+                }
             }, index * 500); // Same 500ms stagger as original
         });
     }
@@ -160,12 +198,8 @@ export class OfflineFallbackSystem {
         
         const pos = new THREE.Vector3(position.x, position.y, position.z);
         
-        // Use original target options from spawnInitialTargets
-        const options = {
-            scale: 5 + Math.random() * 0.5,        // Same as original: 5 + Math.random() * 0.5
-            health: 75 + Math.random() * 50,       // Same as original: 75 + Math.random() * 50
-            points: 10 + Math.floor(Math.random() * 20) // Same as original: 10 + Math.floor(Math.random() * 20)
-        };
+        // Same spawn table as the original spawnInitialTargets
+        const options = this.targetManager.rollTargetOptions('initial');
         
         // Create offline target using original target manager
         const target = this.targetManager.createTarget(pos, options);
@@ -180,7 +214,7 @@ export class OfflineFallbackSystem {
             this.offlineTargets.add(target);
             this.targetCount++;
             
-            console.log(`🎯 Offline target spawned at original position (${position.x}, ${position.y}, ${position.z}) with health: ${options.health}, points: ${options.points}`);
+            console.log(`🎯 Offline ${options.type} target spawned at original position (${position.x}, ${position.y}, ${position.z}) with health: ${options.health}, points: ${options.points}`);
         }
     }
     
@@ -198,12 +232,8 @@ export class OfflineFallbackSystem {
         
         const position = new THREE.Vector3(x, y, z);
         
-        // Use original target options from spawnRandomTarget
-        const options = {
-            scale: 5 + Math.random() * 0.6,        // Same as spawnRandomTarget: 5 + Math.random() * 0.6
-            health: 50 + Math.random() * 100,      // Same as spawnRandomTarget: 50 + Math.random() * 100
-            points: 5 + Math.floor(Math.random() * 25) // Same as spawnRandomTarget: 5 + Math.floor(Math.random() * 25)
-        };
+        // Same spawn table as spawnRandomTarget
+        const options = this.targetManager.rollTargetOptions('respawn');
         
         // Create offline target
         const target = this.targetManager.createTarget(position, options);
@@ -217,7 +247,7 @@ export class OfflineFallbackSystem {
             this.offlineTargets.add(target);
             this.targetCount++;
             
-            console.log(`🎯 Random offline target spawned at (${x.toFixed(1)}, ${y.toFixed(1)}, ${z.toFixed(1)}) with health: ${options.health}, points: ${options.points}`);
+            console.log(`🎯 Random offline ${options.type} target spawned at (${x.toFixed(1)}, ${y.toFixed(1)}, ${z.toFixed(1)}) with health: ${options.health}, points: ${options.points}`);
         }
     }
     
@@ -230,6 +260,12 @@ export class OfflineFallbackSystem {
         // Mark as processed to prevent double processing
         target.userData.alreadyProcessed = true;
         
+        // Survival cats count towards the run, the wave decides what spawns next
+        if (target.userData.survivalCat) {
+            this.handleSurvivalCatDestroyed(target);
+            return;
+        }
+        
         console.log('🎯 Offline target destroyed!');
         
         // Update offline score using original target points
@@ -248,7 +284,7 @@ export class OfflineFallbackSystem {
         
         // Spawn replacement target after delay to maintain target count
         setTimeout(() => {
-            if (this.isOfflineMode && this.targetCount < this.maxTargets) {
+            if (this.isOfflineMode && !this.regularTargetsPaused && this.targetCount < this.maxTargets) {
                 // If this was an original position target, respawn at same location
                 if (target.userData.originalPosition) {
                     console.log('🔄 Respawning target at original position');
@@ -311,10 +347,14 @@ export class OfflineFallbackSystem {
                 console.log('🎯 Offline mode target hit detected via weapon system');
                 
                 // Don't send to network, but process the hit locally using original target system
+                const zone = hitInfo.zone || 'body';
                 if (target.userData.onHit) {
-                    const hitInfoWithDamage = { ...hitInfo, damage: this.weapon.damage || 25 };
+                    const hitInfoWithDamage = { ...hitInfo, damage: this.weapon.getHitDamage(target, zone), zone: zone };
                     target.userData.onHit(hitInfoWithDamage, false); // false = don't send to network
                 }
+                if (this.weapon.onHitMarker) {
+                    this.weapon.onHitMarker(zone);
+                }
                 
                 // Check if target was destroyed and handle offline logic
                 setTimeout(() => {
@@ -367,10 +407,13 @@ export class OfflineFallbackSystem {
             scoreElement.style.color = '#f9ca24';
         }
         
-        // Update targets count
+        // Update targets count (cats left in the wave during survival)
+        const targetsText = this.survival ?
+            `Cats left: ${this.survival.cats.size + this.survival.toSpawn}` :
+            `Targets: ${this.targetCount}/${this.maxTargets}`;
         const targetsElement = document.getElementById('targets');
         if (targetsElement) {
-            targetsElement.innerHTML = `Targets: ${this.targetCount}/${this.maxTargets}`;
+            targetsElement.innerHTML = targetsText;
             targetsElement.style.color = '#ff6b6b';
         } else {
             // Create targets display if it doesn't exist
@@ -378,7 +421,7 @@ export class OfflineFallbackSystem {
             if (hud) {
                 const targetsDiv = document.createElement('div');
                 targetsDiv.id = 'targets';
-                targetsDiv.innerHTML = `Targets: ${this.targetCount}/${this.maxTargets}`;
+                targetsDiv.innerHTML = targetsText;
                 targetsDiv.style.color = '#ff6b6b';
                 targetsDiv.style.fontWeight = 'bold';
                 hud.appendChild(targetsDiv);
@@ -409,14 +452,269 @@ export class OfflineFallbackSystem {
         return false;
     }
     
+    // Clear the free-for-all targets and stop respawning them while another offline mode
+    // (survival, aim trainer) spawns its own
+    pauseRegularTargets() {
+        this.regularTargetsPaused = true;
+        this.clearOfflineTargets();
+        console.log('⏸️ Regular offline targets paused');
+    }
+    
+    resumeRegularTargets() {
+        if (!this.regularTargetsPaused) return;
+        
+        this.regularTargetsPaused = false;
+        console.log('▶️ Regular offline targets resumed');
+        if (this.isOfflineMode) {
+            this.spawnInitialOfflineTargets();
+            this.updateOfflineUI();
+        }
+    }
+    
+    // Start a survival run (replaces the free-for-all offline targets)
+    startSurvival() {
+        if (!this.isOfflineMode) {
+            console.log('⚠️ Survival mode is only available offline');
+            return false;
+        }
+        if (this.survival) {
+            this.stopSurvival();
+        }
+        
+        console.log('🧟 Starting survival mode');
+        this.pauseRegularTargets();
+        
+        const config = this.survivalConfig;
+        this.survival = {
+            wave: 0,
+            health: config.maxHealth,
+            maxHealth: config.maxHealth,
+            score: 0,
+            kills: 0,
+            cats: new Set(),
+            toSpawn: 0,
+            waveSpeed: config.baseSpeed,
+            waveTable: 'survivalEarly',
+            nextSpawnAt: 0,
+            nextWaveAt: performance.now() + config.waveBreak,
+            startedAt: performance.now()
+        };
+        
+        this.notifySurvivalDamaged(0);
+        this.notifySurvivalUpdate();
+        return true;
+    }
+    
+    // Leave survival and go back to the regular offline targets
+    stopSurvival() {
+        if (!this.survival) return;
+        
+        this.survival.cats.forEach(cat => this.despawnOfflineTarget(cat));
+        this.survival = null;
+        console.log('🧟 Survival mode stopped');
+        
+        this.resumeRegularTargets();
+        this.notifySurvivalUpdate();
+    }
+    
+    isSurvivalActive() {
+        return this.survival !== null;
+    }
+    
+    startNextWave() {
+        const config = this.survivalConfig;
+        const run = this.survival;
+        
+        run.wave++;
+        run.toSpawn = config.baseCount + (run.wave - 1) * config.countPerWave;
+        run.waveSpeed = Math.min(config.baseSpeed + (run.wave - 1) * config.speedPerWave, config.maxSpeed);
+        run.waveTable = config.waveTables
+            .filter(entry => run.wave >= entry.fromWave)
+            .reduce((latest, entry) => entry.table, config.waveTables[0].table);
+        run.nextSpawnAt = performance.now();
+        run.nextWaveAt = null;
+        
+        console.log(`🌊 Wave ${run.wave}: ${run.toSpawn} cats at speed ${run.waveSpeed.toFixed(1)} (${run.waveTable})`);
+        this.notifySurvivalUpdate();
+    }
+    
+    // Spawn one cat on the ring around the player, facing them
+    spawnSurvivalCat() {
+        if (!this.targetManager || !this.targetManager.isModelLoaded) {
+            return null;
+        }
+        
+        const config = this.survivalConfig;
+        const run = this.survival;
+        const playerPosition = this.getPlayerPosition();
+        const angle = Math.random() * Math.PI * 2;
+        const clamp = (value) => Math.max(-config.arenaLimit, Math.min(config.arenaLimit, value));
+        const position = new THREE.Vector3(
+            clamp(playerPosition.x + Math.cos(angle) * config.spawnRadius),
+            config.spawnHeight,
+            clamp(playerPosition.z + Math.sin(angle) * config.spawnRadius)
+        );
+        
+        const options = this.targetManager.rollTargetOptions(run.waveTable);
+        const target = this.targetManager.createTarget(position, options);
+        if (!target) return null;
+        
+        const type = this.targetManager.getTargetType(options.type);
+        target.userData.offlineTarget = true;
+        target.userData.survivalCat = true;
+        target.userData.motion = null; // We walk it ourselves
+        target.userData.walkSpeed = run.waveSpeed * (type.walkSpeed ?? 1);
+        target.userData.contactDamage = type.contactDamage ?? 10;
+        target.userData.lastBiteAt = 0;
+        target.userData.spawnTime = Date.now();
+        
+        this.offlineTargets.add(target);
+        this.targetCount++;
+        run.cats.add(target);
+        run.toSpawn--;
+        
+        console.log(`🐱 Survival ${options.type} cat spawned at (${position.x.toFixed(1)}, ${position.z.toFixed(1)}), speed ${target.userData.walkSpeed.toFixed(1)}`);
+        return target;
+    }
+    
+    handleSurvivalCatDestroyed(target) {
+        // Already despawned if the run ended while the cat was dying
+        if (!this.offlineTargets.delete(target)) return;
+        this.targetCount--;
+        
+        const run = this.survival;
+        if (!run || !run.cats.has(target)) return;
+        
+        run.cats.delete(target);
+        run.kills++;
+        run.score += target.userData.points || 10;
+        this.offlineScore = run.score;
+        this.targetsHit++;
+        
+        console.log(`🐱 Survival cat down for ${target.userData.points} points. Wave ${run.wave}: ${run.cats.size + run.toSpawn} left`);
+        this.notifySurvivalUpdate();
+    }
+    
+    // Walk cats toward the player and bite on contact
+    updateSurvivalCats(deltaTime, now) {
+        const config = this.survivalConfig;
+        const run = this.survival;
+        const playerPosition = this.getPlayerPosition();
+        
+        run.cats.forEach(cat => {
+            if (cat.userData.health <= 0) return;
+            
+            const dx = playerPosition.x - cat.position.x;
+            const dz = playerPosition.z - cat.position.z;
+            const distance = Math.sqrt(dx * dx + dz * dz);
+            
+            // Face the player
+            cat.rotation.y = Math.atan2(dx, dz);
+            
+            if (distance > config.contactRadius) {
+                const step = Math.min(cat.userData.walkSpeed * deltaTime, distance - config.contactRadius);
+                cat.position.x += (dx / distance) * step;
+                cat.position.z += (dz / distance) * step;
+            } else if (now - cat.userData.lastBiteAt >= config.contactCooldown) {
+                cat.userData.lastBiteAt = now;
+                this.damageSurvivalPlayer(cat.userData.contactDamage);
+            }
+        });
+    }
+    
+    damageSurvivalPlayer(damage) {
+        const run = this.survival;
+        run.health = Math.max(0, run.health - damage);
+        console.log(`🩸 Bitten for ${damage} - health ${run.health}/${run.maxHealth}`);
+        
+        this.notifySurvivalDamaged(damage);
+        
+        if (run.health <= 0) {
+            this.endSurvival();
+        }
+    }
+    
+    // Health hit zero: report the run and go back to regular offline play
+    endSurvival() {
+        const run = this.survival;
+        const result = {
+            wave: run.wave,
+            score: run.score,
+            kills: run.kills,
+            duration: performance.now() - run.startedAt
+        };
+        
+        console.log(`💀 Survival over - reached wave ${result.wave} with ${result.score} points (${result.kills} cats)`);
+        this.stopSurvival();
+        
+        if (this.onSurvivalEnded) {
+            this.onSurvivalEnded(result);
+        }
+    }
+    
+    getPlayerPosition() {
+        return window.gamePlayer ? window.gamePlayer.position : new THREE.Vector3();
+    }
+    
+    getSurvivalState() {
+        const run = this.survival;
+        if (!run) return null;
+        
+        return {
+            wave: run.wave,
+            health: run.health,
+            maxHealth: run.maxHealth,
+            score: run.score,
+            kills: run.kills,
+            remaining: run.cats.size + run.toSpawn,
+            nextWaveIn: run.nextWaveAt ? Math.max(0, run.nextWaveAt - performance.now()) : 0
+        };
+    }
+    
+    notifySurvivalUpdate() {
+        if (this.survival) {
+            const hud = document.getElementById('offline-mode');
+            if (hud) {
+                hud.innerHTML = `Survival - Wave ${this.survival.wave}`;
+            }
+            this.updateOfflineScore();
+        }
+        if (this.onSurvivalUpdate) {
+            this.onSurvivalUpdate(this.getSurvivalState());
+        }
+    }
+    
+    notifySurvivalDamaged(damage) {
+        if (this.onSurvivalDamaged) {
+            this.onSurvivalDamaged(this.survival.health, this.survival.maxHealth, damage);
+        }
+    }
+    
     // Update method to be called in game loop
     update(deltaTime) {
-        if (!this.isOfflineMode) {
+        if (!this.isOfflineMode || !this.survival) {
             return;
         }
         
-        // Update any time-based offline logic here
-        // For now, spawning is handled by intervals
+        const now = performance.now();
+        const run = this.survival;
+        
+        // Wave finished: take a break, then start the next one
+        if (run.toSpawn === 0 && run.cats.size === 0 && run.nextWaveAt === null) {
+            console.log(`🌊 Wave ${run.wave} cleared!`);
+            run.nextWaveAt = now + this.survivalConfig.waveBreak;
+            this.notifySurvivalUpdate();
+        }
+        if (run.nextWaveAt !== null && now >= run.nextWaveAt) {
+            this.startNextWave();
+        }
+        
+        if (run.toSpawn > 0 && now >= run.nextSpawnAt) {
+            run.nextSpawnAt = now + this.survivalConfig.spawnInterval;
+            this.spawnSurvivalCat();
+        }
+        
+        this.updateSurvivalCats(deltaTime, now);
     }
     
     // Get current offline stats
@@ -425,7 +723,8 @@ export class OfflineFallbackSystem {
             score: this.offlineScore,
             targetsHit: this.targetsHit,
             activeTargets: this.targetCount,
-            isActive: this.isOfflineMode
+            isActive: this.isOfflineMode,
+            survival: this.getSurvivalState()
         };
     }
     
@@ -20,16 +20,21 @@ export class Player {
         // Player body
         this.body = null;
         
-        // Movement settings
+        // Movement state (speeds, gravity etc. live in the shared MOVEMENT_CONFIG)
+        this.position = camera.position.clone(); // Simulated eye position, the camera adds visual offsets
         this.velocity = new THREE.Vector3();
-        this.direction = new THREE.Vector3();
-        this.speed = 12.0;
-        this.walkSpeed = 6.0;
-        this.runSpeed = 20.0;
-        this.jumpVelocity = 15.0;
-        this.damping = 8.0;
-        this.gravity = 30.0;
-        this.mass = 100.0;
+        this.jumpRequested = false;
+        
+        // Client-side prediction: every frame is recorded as a numbered input so it can be
+        // sent to the server and replayed on top of the server's authoritative state
+        this.inputSequence = 0;
+        this.pendingInputs = []; // Not yet acknowledged by the server
+        this.unsentInputs = []; // Not yet sent to the server
+        this.maxPendingInputs = 600;
+        this.lastAckedInput = null;
+        this.correctionOffset = new THREE.Vector3(); // Visual error left over after a correction
+        this.correctionSpeed = 10; // How fast the leftover error is blended away
+        this.snapDistance = 2; // Errors larger than this are snapped instead of blended
         
         // Player dimensions
         this.height = 1.6;
@@ -41,15 +46,17 @@ export class Player {
         this.euler = new THREE.Euler(0, 0, 0, 'YXZ');
         this.PI_2 = Math.PI / 2;
         this.mouseSensitivity = 0.002;
+        this.sensitivityMultiplier = 1; // Lowered by the weapon while aiming down sights
         
         // Enhanced rotation tracking to prevent accumulation errors
         this.rotationX = 0;
         this.rotationY = 0;
         this.maxPitch = Math.PI / 2 - 0.01; // Slightly less than 90 degrees to prevent gimbal lock
         
-        // Collision detection
-        this.raycaster = new THREE.Raycaster(new THREE.Vector3(), new THREE.Vector3(0, -1, 0), 0, 2);
+        // Terrain detection (visual only, the shared movement model treats the floor as flat)
+        this.raycaster = new THREE.Raycaster(new THREE.Vector3(), new THREE.Vector3(0, -1, 0), 0, 50);
         this.collisionObjects = [];
+        this.terrainOffset = 0;
         
         // Camera shake and vibration effects
         this.walkBobTime = 0;
@@ -64,7 +71,8 @@ export class Player {
         this.landShakeIntensity = 0.15;
         this.landShakeDuration = 0.3;
         this.currentShake = { intensity: 0, duration: 0, time: 0 };
-        this.basePosition = new THREE.Vector3();
+        this.bobOffset = new THREE.Vector3();
+        this.shakeOffset = new THREE.Vector3();
         this.isLanding = false;
         this.wasInAir = false;
         
@@ -223,19 +231,14 @@ export class Player {
                 const clampedMovementY = Math.max(-50, Math.min(50, movementY));
                 
                 // Update rotation values directly to avoid Euler accumulation issues
-                this.rotationY -= clampedMovementX * this.mouseSensitivity;
-                this.rotationX -= clampedMovementY * this.mouseSensitivity;
+                const sensitivity = this.mouseSensitivity * this.sensitivityMultiplier;
+                const pitchDelta = -clampedMovementY * sensitivity;
+                this.addLookRotation(pitchDelta, -clampedMovementX * sensitivity);
                 
-                // Clamp pitch to prevent gimbal lock and over-rotation
-                this.rotationX = Math.max(-this.maxPitch, Math.min(this.maxPitch, this.rotationX));
-                
-                // Normalize yaw to prevent accumulation (keep between -PI and PI)
-                while (this.rotationY > Math.PI) this.rotationY -= 2 * Math.PI;
-                while (this.rotationY < -Math.PI) this.rotationY += 2 * Math.PI;
-                
-                // Apply rotation to camera using clean Euler values
-                this.euler.set(this.rotationX, this.rotationY, 0, 'YXZ');
-                this.camera.quaternion.setFromEuler(this.euler);
+                // Pulling down against recoil means the weapon doesn't have to recover it
+                if (window.weapon && window.weapon.compensateRecoil) {
+                    window.weapon.compensateRecoil(pitchDelta);
+                }
 
                 FirstPersonControls(this.camera, domElement);
             }
@@ -301,6 +304,23 @@ export class Player {
         return false;
     }
     
+    // Turn the view by a pitch/yaw delta in radians (mouse look, weapon recoil)
+    addLookRotation(pitchDelta, yawDelta) {
+        this.rotationY += yawDelta;
+        this.rotationX += pitchDelta;
+        
+        // Clamp pitch to prevent gimbal lock and over-rotation
+        this.rotationX = Math.max(-this.maxPitch, Math.min(this.maxPitch, this.rotationX));
+        
+        // Normalize yaw to prevent accumulation (keep between -PI and PI)
+        while (this.rotationY > Math.PI) this.rotationY -= 2 * Math.PI;
+        while (this.rotationY < -Math.PI) this.rotationY += 2 * Math.PI;
+        
+        // Apply rotation to camera using clean Euler values
+        this.euler.set(this.rotationX, this.rotationY, 0, 'YXZ');
+        this.camera.quaternion.setFromEuler(this.euler);
+    }
+    
     requestPointerLock() {
         const element = document.body;
         if (element.requestPointerLock) {
@@ -409,42 +429,22 @@ export class Player {
     }
     
     jump() {
+        // The jump itself happens in the next movement step so it is part of the recorded input
         if (this.canJump) {
-            this.velocity.y += this.jumpVelocity;
-            this.canJump = false;
-            this.wasInAir = true;
-            
-            // Add jump shake effect
-            this.addCameraShake(this.jumpShakeIntensity, this.jumpShakeDuration);
+            this.jumpRequested = true;
         }
     }
     
     checkCollisions() {
-        // Ground collision detection
-        this.raycaster.ray.origin.copy(this.camera.position);
+        // Follow the small height variations of the floor mesh
+        this.raycaster.ray.origin.copy(this.position);
         this.raycaster.ray.direction.set(0, -1, 0);
         
         // Filter out player body parts from collision detection
         const validCollisionObjects = this.collisionObjects.filter(obj => !this.isPlayerBodyPart(obj));
         const intersections = this.raycaster.intersectObjects(validCollisionObjects);
         
-        const targetHeight = this.isCrouching ? this.crouchHeight : this.height;
-        
-        if (intersections.length > 0) {
-            const distance = intersections[0].distance;
-            if (distance < targetHeight) {
-                this.camera.position.y = intersections[0].point.y + targetHeight;
-                this.velocity.y = Math.max(0, this.velocity.y);
-                
-                // Landing effect
-                if (!this.canJump && this.wasInAir) {
-                    this.addCameraShake(this.landShakeIntensity, this.landShakeDuration);
-                    this.wasInAir = false;
-                }
-                
-                this.canJump = true;
-            }
-        }
+        this.terrainOffset = intersections.length > 0 ? Math.max(0, intersections[0].point.y) : 0;
     }
     
     addCameraShake(intensity, duration) {
@@ -456,14 +456,18 @@ export class Player {
     }
     
     applyCameraEffects(delta) {
-        // Store the base position
-        this.basePosition.copy(this.camera.position);
-        
         // Apply walking bob effect
         this.applyWalkingBob(delta);
         
         // Apply camera shake effects
         this.applyCameraShake(delta);
+        
+        // Camera = simulated position + visual offsets (never fed back into the simulation)
+        this.camera.position.copy(this.position)
+            .add(this.correctionOffset)
+            .add(this.bobOffset)
+            .add(this.shakeOffset);
+        this.camera.position.y += this.terrainOffset;
     }
     
     applyWalkingBob(delta) {
@@ -483,10 +487,11 @@ export class Player {
             }
             
             this.walkBobTime += delta * bobSpeed;
+            this.bobOffset.set(0, 0, 0);
             
             // Apply vertical bob (Y-axis)
             const verticalBob = Math.sin(this.walkBobTime * 2) * bobIntensity;
-            this.camera.position.y += verticalBob;
+            this.bobOffset.y += verticalBob;
             
             // Apply horizontal sway (X and Z-axis) for more realistic movement
             const horizontalBob = Math.sin(this.walkBobTime) * bobIntensity * 0.3;
@@ -497,15 +502,16 @@ export class Player {
             sideways.crossVectors(this.camera.getWorldDirection(new THREE.Vector3()), new THREE.Vector3(0, 1, 0));
             sideways.normalize();
             
-            this.camera.position.add(sideways.multiplyScalar(horizontalBob));
+            this.bobOffset.add(sideways.multiplyScalar(horizontalBob));
             
             // Slight forward/backward bob
             const forward = this.camera.getWorldDirection(new THREE.Vector3());
-            this.camera.position.add(forward.multiplyScalar(forwardBob));
+            this.bobOffset.add(forward.multiplyScalar(forwardBob));
             
         } else {
-            // Gradually reduce bob time when not moving
+            // Gradually reduce bob time and offset when not moving
             this.walkBobTime *= 0.95;
+            this.bobOffset.multiplyScalar(0.9);
         }
     }
     
@@ -523,12 +529,11 @@ export class Player {
                 const shakeY = (Math.random() - 0.5) * intensity;
                 const shakeZ = (Math.random() - 0.5) * intensity;
                 
-                this.camera.position.x += shakeX;
-                this.camera.position.y += shakeY;
-                this.camera.position.z += shakeZ;
+                this.shakeOffset.set(shakeX, shakeY, shakeZ);
             } else {
                 // Reset shake
                 this.currentShake = { intensity: 0, duration: 0, time: 0 };
+                this.shakeOffset.set(0, 0, 0);
             }
         }
     }
@@ -539,8 +544,9 @@ export class Player {
         // Only block if input is explicitly blocked for overlays (not for network sync)
         if (window.inputBlocker && window.inputBlocker.isInputBlocked() && 
             window.inputBlocker.getBlockReasons().includes('loading') || 
-            window.inputBlocker.getBlockReasons().includes('debug')) {
-            return; // Only block for loading/debug overlays, not network sync
+            window.inputBlocker.getBlockReasons().includes('debug') || 
+            window.inputBlocker.getBlockReasons().includes('reconnecting')) {
+            return; // Only block for loading/debug/reconnect overlays, not network sync
         }
         
         const time = performance.now();
@@ -550,48 +556,53 @@ export class Player {
         // Clamp delta to prevent large jumps
         const clampedDelta = Math.min(delta, 0.1);
         
-        // Apply gravity
-        this.velocity.y -= this.gravity * clampedDelta;
+        // Record this frame as an input for the server
+        const input = {
+            seq: ++this.inputSequence,
+            buttons: PlayerMovement.packButtons({
+                forward: this.moveForward,
+                backward: this.moveBackward,
+                left: this.moveLeft,
+                right: this.moveRight,
+                jump: this.jumpRequested,
+                run: this.isRunning,
+                crouch: this.isCrouching
+            }),
+            rotationX: this.rotationX,
+            rotationY: this.rotationY,
+            dt: clampedDelta
+        };
+        this.jumpRequested = false;
+        this.recordInput(input);
         
-        // Apply damping to horizontal movement
-        this.velocity.x -= this.velocity.x * this.damping * clampedDelta;
-        this.velocity.z -= this.velocity.z * this.damping * clampedDelta;
+        // Predict the result locally with the same model the server runs
+        const result = PlayerMovement.step(this, input);
         
-        // Determine current speed based on state
-        let currentSpeed = this.speed;
-        if (this.isRunning && !this.isCrouching) {
-            currentSpeed = this.runSpeed;
-        } else if (this.isCrouching) {
-            currentSpeed = this.walkSpeed * 0.5;
+        if (result.jumped) {
+            this.wasInAir = true;
+            
+            // Add jump shake effect
+            this.addCameraShake(this.jumpShakeIntensity, this.jumpShakeDuration);
         }
         
-        // Update direction based on movement keys
-        this.direction.z = Number(this.moveForward) - Number(this.moveBackward);
-        this.direction.x = Number(this.moveLeft) - Number(this.moveRight); // Fixed: swapped left and right
-        this.direction.normalize();
-        
-        // Apply movement forces
-        if (this.moveForward || this.moveBackward) {
-            this.velocity.z -= this.direction.z * currentSpeed * clampedDelta;
-        }
-        if (this.moveLeft || this.moveRight) {
-            this.velocity.x -= this.direction.x * currentSpeed * clampedDelta;
+        if (result.landed && this.wasInAir) {
+            // Landing effect when hitting the floor
+            this.addCameraShake(this.landShakeIntensity, this.landShakeDuration);
+            this.wasInAir = false;
         }
         
-        // Apply movement with collision detection
-        const oldPosition = this.camera.position.clone();
+        this.isWalking = this.moveForward || this.moveBackward || this.moveLeft || this.moveRight;
         
-        // Move horizontally
-        this.camera.translateX(this.velocity.x * clampedDelta);
-        this.camera.translateZ(this.velocity.z * clampedDelta);
+        // Blend away any error left over from the last server correction
+        this.correctionOffset.multiplyScalar(Math.max(0, 1 - this.correctionSpeed * clampedDelta));
         
-        // Move vertically
-        this.camera.position.y += this.velocity.y * clampedDelta;
-        
-        // Check collisions and adjust position
+        // Check terrain height under the player
         this.checkCollisions();
         
-        // Update body position after collision checks to prevent conflicts
+        // Apply camera effects (walking bob and shake)
+        this.applyCameraEffects(clampedDelta);
+        
+        // Update body position after camera placement to prevent conflicts
         if (this.body) {
             const targetPosition = this.camera.position.clone();
             targetPosition.y -= this.height / 2; // Keep body centered below camera
@@ -602,23 +613,54 @@ export class Player {
             // Update body rotation to match camera's Y rotation only (not pitch)
             this.body.rotation.y = this.rotationY; // Use direct rotation value instead of euler.y
         }
+    }
+    
+    recordInput(input) {
+        this.pendingInputs.push(input);
+        this.unsentInputs.push(input);
         
-        // Prevent falling through the world
-        const minHeight = this.isCrouching ? this.crouchHeight : this.height;
-        if (this.camera.position.y < minHeight) {
-            // Landing effect when hitting the floor
-            if (!this.canJump && this.wasInAir) {
-                this.addCameraShake(this.landShakeIntensity, this.landShakeDuration);
-                this.wasInAir = false;
-            }
-            
-            this.camera.position.y = minHeight;
-            this.velocity.y = 0;
-            this.canJump = true;
+        // Offline (or if the server stops acknowledging) only keep a bounded history
+        if (this.pendingInputs.length > this.maxPendingInputs) {
+            this.pendingInputs.shift();
+        }
+        if (this.unsentInputs.length > this.maxPendingInputs) {
+            this.unsentInputs.shift();
+        }
+    }
+    
+    takeUnsentInputs() {
+        const inputs = this.unsentInputs;
+        this.unsentInputs = [];
+        return inputs;
+    }
+    
+    // Server reconciliation: rewind to the server's state for the last input it processed,
+    // replay everything it hasn't seen yet and blend the difference
+    reconcile(serverState) {
+        if (typeof serverState.lastInputSeq !== 'number' || !serverState.position) return;
+        if (serverState.lastInputSeq === this.lastAckedInput) return;
+        this.lastAckedInput = serverState.lastInputSeq;
+        
+        this.pendingInputs = this.pendingInputs.filter(input => input.seq > serverState.lastInputSeq);
+        
+        const predictedPosition = this.position.clone();
+        
+        this.position.set(serverState.position.x, serverState.position.y, serverState.position.z);
+        if (serverState.velocity) {
+            this.velocity.set(serverState.velocity.x, serverState.velocity.y, serverState.velocity.z);
+        }
+        if (typeof serverState.canJump === 'boolean') {
+            this.canJump = serverState.canJump;
         }
         
-        // Apply camera effects (walking bob and shake)
-        this.applyCameraEffects(clampedDelta);
+        this.pendingInputs.forEach(input => PlayerMovement.step(this, input));
+        
+        // Keep the camera where it was and let update() blend towards the corrected position
+        this.correctionOffset.add(predictedPosition.sub(this.position));
+        if (this.correctionOffset.length() > this.snapDistance) {
+            console.log(`📍 Large prediction error (${this.correctionOffset.length().toFixed(2)}), snapping to server position`);
+            this.correctionOffset.set(0, 0, 0);
+        }
     }
     
     toggleBodyVisibility() {
@@ -644,4 +686,22 @@ export class Player {
     getPlayerBody() {
         return this.body;
     }
+    
+    // Move instantly (server respawn), dropping any momentum
+    teleport(position) {
+        this.position.set(position.x, position.y, position.z);
+        this.camera.position.copy(this.position);
+        this.velocity.set(0, 0, 0);
+        this.correctionOffset.set(0, 0, 0);
+        
+        // Inputs from before the teleport no longer apply
+        this.pendingInputs = [];
+        this.unsentInputs = [];
+        this.lastAckedInput = null;
+        
+        if (this.body) {
+            this.body.position.copy(this.camera.position);
+            this.body.position.y -= this.height / 2;
+        }
+    }
 }
@@ -0,0 +1,125 @@
+// Reconnects a dropped socket with exponential backoff, then either resumes or gives up
+export class ReconnectionManager {
+    constructor(socket, options = {}) {
+        this.socket = socket;
+        this.maxAttempts = options.maxAttempts ?? 5;
+        this.baseDelay = options.baseDelay ?? 1000; // Doubles every attempt...
+        this.maxDelay = options.maxDelay ?? 16000; // ...up to this
+        this.jitter = 0.2; // ±20% so a room full of clients doesn't retry in lockstep
+        this.attempt = 0;
+        this.isReconnecting = false;
+        this.hasConnected = false; // Until the first connect, a failed connect starts a backoff run too
+        this.retryTimer = null;
+        this.nextRetryAt = null;
+
+        // Callbacks
+        this.onAttempt = null; // (attempt, maxAttempts, delay)
+        this.onReconnected = null; // (attempts)
+        this.onGiveUp = null; // (attempts)
+
+        this.socket.on('connect', () => this.handleConnect());
+        this.socket.on('connect_error', () => this.handleConnectError());
+    }
+
+    // We left on purpose, or the server sent us away (kicked, session taken over) - don't fight it
+    shouldReconnect(reason) {
+        return reason !== 'io client disconnect' && reason !== 'io server disconnect';
+    }
+
+    // Returns true if a reconnection is (now) in progress
+    handleDisconnect(reason) {
+        if (!this.shouldReconnect(reason)) {
+            console.log('🔌 Not reconnecting after:', reason);
+            return false;
+        }
+        if (this.isReconnecting) return true;
+
+        console.log(`🔁 Starting reconnection (${reason})`);
+        this.isReconnecting = true;
+        this.attempt = 0;
+        this.scheduleAttempt();
+        return true;
+    }
+
+    handleConnect() {
+        this.hasConnected = true;
+        if (!this.isReconnecting) return;
+
+        const attempts = this.attempt;
+        console.log(`✅ Reconnected after ${attempts} attempt(s)`);
+        this.reset();
+        if (this.onReconnected) {
+            this.onReconnected(attempts);
+        }
+    }
+
+    handleConnectError() {
+        if (!this.isReconnecting) {
+            // The very first connect failed (server restarting, slow cold start) - retry it like a drop
+            if (!this.hasConnected) {
+                this.handleDisconnect('initial connect failed');
+            }
+            return;
+        }
+
+        console.log(`❌ Reconnection attempt ${this.attempt}/${this.maxAttempts} failed`);
+        this.scheduleAttempt();
+    }
+
+    getDelay(attempt) {
+        const delay = Math.min(this.baseDelay * Math.pow(2, attempt - 1), this.maxDelay);
+        return Math.round(delay * (1 + this.jitter * (Math.random() * 2 - 1)));
+    }
+
+    scheduleAttempt() {
+        if (this.attempt >= this.maxAttempts) {
+            this.giveUp();
+            return;
+        }
+
+        this.attempt++;
+        const delay = this.getDelay(this.attempt);
+        this.nextRetryAt = Date.now() + delay;
+        console.log(`🔁 Reconnection attempt ${this.attempt}/${this.maxAttempts} in ${delay}ms`);
+        if (this.onAttempt) {
+            this.onAttempt(this.attempt, this.maxAttempts, delay);
+        }
+
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            this.socket.connect();
+        }, delay);
+    }
+
+    // Time until the next attempt starts, for countdowns
+    getTimeUntilRetry() {
+        return this.nextRetryAt ? Math.max(0, this.nextRetryAt - Date.now()) : 0;
+    }
+
+    giveUp() {
+        const attempts = this.attempt;
+        console.log(`🛑 Giving up after ${attempts} reconnection attempts`);
+        this.cancel();
+        if (this.onGiveUp) {
+            this.onGiveUp(attempts);
+        }
+    }
+
+    cancel() {
+        const wasReconnecting = this.isReconnecting;
+        this.reset();
+        if (wasReconnecting) {
+            this.socket.disconnect(); // Abort an attempt that is still in flight
+        }
+    }
+
+    reset() {
+        if (this.retryTimer) {
+            clearTimeout(this.retryTimer);
+            this.retryTimer = null;
+        }
+        this.isReconnecting = false;
+        this.attempt = 0;
+        this.nextRetryAt = null;
+    }
+}
@@ -4,6 +4,7 @@ import { Weapon } from './weapon.js';
 import { TargetManager } from './targets.js';
 import { NetworkManager, RemotePlayer } from './network.js';
 import { OfflineFallbackSystem } from './offline-fallback.js';
+import { AimTrainer, AIM_DRILLS } from './aim-trainer.js';
 
 // Initialize loading system first
 let gameIsReady = false;
@@ -207,21 +208,14 @@ networkManager.onPlayerJoined = (playerData) => {
         return;
     }
     
-    // Enhanced reconnection detection: Clean up any stale players first
+    // Clean up any stale players first. Reconnecting players resume under their old id (and
+    // never leave/join), so a join is always a new player - nobody nearby gets replaced by it.
     const stalePlayersToRemove = [];
-    const newPlayerPosition = new THREE.Vector3(
-        playerData.position.x,
-        playerData.position.y,
-        playerData.position.z
-    );
     
     remotePlayers.forEach((remotePlayer, playerId) => {
-        // Check if player is stale or could be a reconnection duplicate
-        if (remotePlayer.isPlayerStale() || 
-            remotePlayer.isPotentialReconnectionDuplicate(playerData.position, 8)) { // Increased threshold to 8 units
-            
-            console.log(`🔄 Removing stale/duplicate player ${playerId} for new player ${playerData.id}`);
-            remotePlayer.markForCleanup('reconnection or stale detection');
+        if (remotePlayer.isPlayerStale()) {
+            console.log(`🔄 Removing stale player ${playerId} for new player ${playerData.id}`);
+            remotePlayer.markForCleanup('stale detection');
             stalePlayersToRemove.push(playerId);
         }
     });
@@ -316,8 +310,15 @@ networkManager.onPlayerUpdate = (playerUpdates) => {
     });
 };
 
+networkManager.onPlayerReload = (reloadData) => {
+    const remotePlayer = remotePlayers.get(reloadData.playerId);
+    if (remotePlayer) {
+        remotePlayer.onReload(reloadData);
+    }
+};
+
 networkManager.onPlayerShot = (shotData) => {
-    console.log('🔫 Player shot event received:', shotData);
+    console.log(`🔫 Player shot event received (${Math.round(shotData.age)}ms ago):`, shotData);
     console.log('📍 Shot position:', shotData.position);
     console.log('🎯 Shot direction:', shotData.direction);
     console.log('👥 Current remote players:', remotePlayers.size);
@@ -456,6 +457,26 @@ networkManager.onTargetHit = (hitData) => {
     }
 };
 
+networkManager.onHitRejected = (rejectData) => {
+    // Server refused our hit - restore the health we applied optimistically
+    if (targetManager) {
+        const target = targetManager.targets.find(t => t.userData.targetId === rejectData.targetId);
+        if (target) {
+            target.userData.health = rejectData.health;
+            target.userData.locallyDestroyed = false;
+            console.log(`Resynced target ${rejectData.targetId} health to ${rejectData.health}/${rejectData.maxHealth} after rejected hit`);
+        }
+    }
+};
+
+networkManager.onJoinRoomError = (errorData) => {
+    // Room refused (wrong password, name taken) - send the player back to the lobby
+    playerCanMove = false;
+    if (window.gameLoadingScreen) {
+        window.gameLoadingScreen.showLobbyError(errorData.message);
+    }
+};
+
 networkManager.onTargetDestroyed = (destroyData) => {
     // Handle target destruction from server (applies to all players)
     if (targetManager) {
@@ -466,8 +487,8 @@ networkManager.onTargetDestroyed = (destroyData) => {
         if (wasDestroyed) {
             if (destroyData.playerId === networkManager.playerId) {
                 console.log(`You destroyed target ${destroyData.targetId} for ${destroyData.points} points!`);
-                // Update local score
-                score += destroyData.points;
+                // Server keeps the match score
+                score = destroyData.playerScore;
                 updateScoreDisplay();
             } else {
                 console.log(`Player ${destroyData.playerId} destroyed target ${destroyData.targetId} for ${destroyData.points} points`);
@@ -478,6 +499,13 @@ networkManager.onTargetDestroyed = (destroyData) => {
     }
 };
 
+// Server-simulated target motion
+networkManager.onTargetsUpdate = (targetSnapshots, gameTime) => {
+    if (targetManager) {
+        targetManager.applyServerSnapshot(targetSnapshots, gameTime);
+    }
+};
+
 networkManager.onTargetSpawned = (targetData) => {
     console.log('🎯 TARGET SPAWN EVENT RECEIVED:', targetData);
     
@@ -552,6 +580,7 @@ networkManager.onTargetSpawned = (targetData) => {
             scale: targetData.scale || 5,
             health: targetData.health,
             points: targetData.points,
+            type: targetData.type,
             rotation: rotation,
             targetId: targetData.id // Pass the server ID
         });
@@ -739,6 +768,12 @@ networkManager.onGameStateReceived = (gameState) => {
     console.log('🎮 Initial game state received, players:', gameState.players.length, 'targets:', gameState.targets.length);
     console.log('🎮 Full game state object:', gameState);
     
+    // The server owns our position from now on
+    const localPlayerState = gameState.players.find(playerData => playerData.id === gameState.yourId);
+    if (localPlayerState) {
+        player.teleport(localPlayerState.position);
+    }
+    
     // Store the gameState for processing
     pendingGameState = gameState;
     
@@ -841,6 +876,7 @@ function processGameState() {
                         scale: targetData.scale || 5,
                         health: targetData.health,
                         points: targetData.points,
+                        type: targetData.type,
                         rotation: rotation,
                         targetId: targetData.id // Pass the server ID
                     });
@@ -916,14 +952,138 @@ function processGameState() {
     
     updatePlayerCount();
     
+    // Pick up the current match phase of the room
+    if (gameState.match) {
+        handleMatchPhase(gameState.match);
+    }
+    updateTeamDisplay();
+    
     // Clear the pending state
     pendingGameState = null;
     console.log('✅ Game state processing completed');
 }
 
+networkManager.onMatchPhase = (matchData) => {
+    handleMatchPhase(matchData);
+};
+
+// Team mode
+const TEAM_ICONS = {
+    red: '🔴',
+    blue: '🔵'
+};
+const TEAM_LABELS = {
+    red: '🔴 Red',
+    blue: '🔵 Blue'
+};
+
+networkManager.onTeamChanged = (teamData) => {
+    if (teamData.playerId === networkManager.playerId) {
+        console.log(`🎽 You were moved to team ${teamData.team}`);
+        updateTeamDisplay();
+    } else {
+        const remotePlayer = remotePlayers.get(teamData.playerId);
+        if (remotePlayer) {
+            remotePlayer.setTeam(teamData.team);
+        }
+    }
+    
+    // Who counts as a teammate may have changed
+    remotePlayers.forEach(remotePlayer => remotePlayer.updateFriendlyState());
+};
+
+networkManager.onTeamScore = () => {
+    updateMatchBanner();
+};
+
+// PvP: damage, death and respawn (server-driven)
+let localHealth = 100;
+let localMaxHealth = 100;
+let localPlayerDead = false;
+let respawnCountdownEnd = 0;
+
+networkManager.onPlayerDamaged = (damageData) => {
+    if (damageData.playerId === networkManager.playerId) {
+        localHealth = damageData.health;
+        localMaxHealth = damageData.maxHealth;
+        updateHealthDisplay();
+        player.addCameraShake(0.05, 0.15); // Feedback when getting hit
+    } else {
+        const remotePlayer = remotePlayers.get(damageData.playerId);
+        if (remotePlayer) {
+            remotePlayer.health = damageData.health;
+        }
+    }
+};
+
+networkManager.onPlayerKilled = (killData) => {
+    addKillFeedEntry(killData);
+    
+    if (killData.victimId === networkManager.playerId) {
+        console.log(`💀 You were killed by ${killData.killerName}`);
+        localPlayerDead = true;
+        localHealth = 0;
+        respawnCountdownEnd = performance.now() + killData.respawnIn;
+        if (weapon) {
+            weapon.isOwnerDead = true;
+            weapon.stopShooting();
+        }
+        updateHealthDisplay();
+        showDeathScreen(killData);
+    } else {
+        const remotePlayer = remotePlayers.get(killData.victimId);
+        if (remotePlayer) {
+            remotePlayer.setAlive(false);
+        }
+    }
+    
+    if (killData.killerId === networkManager.playerId) {
+        score = killData.killerScore;
+        updateScoreDisplay();
+    }
+};
+
+// Reconcile our predicted movement with the server's authoritative state
+networkManager.onLocalPlayerUpdate = (playerData) => {
+    if (!localPlayerDead && playerData.isAlive !== false) {
+        player.reconcile(playerData);
+    }
+};
+
+networkManager.onPlayerRespawned = (respawnData) => {
+    if (respawnData.playerId === networkManager.playerId) {
+        console.log('💚 Respawned at', respawnData.position);
+        player.teleport(respawnData.position);
+        localPlayerDead = false;
+        localHealth = respawnData.health;
+        if (weapon) {
+            weapon.isOwnerDead = false;
+        }
+        updateHealthDisplay();
+        hideDeathScreen();
+    } else {
+        const remotePlayer = remotePlayers.get(respawnData.playerId);
+        if (remotePlayer) {
+            remotePlayer.respawnAt(respawnData.position);
+        }
+    }
+};
+
+networkManager.onNetworkStats = updateNetworkStats;
+
 networkManager.onConnectionChange = (connected) => {
     updateConnectionStatus(connected);
     if (!connected) {
+        handleMatchPhase(null); // No match while offline
+        
+        // Never stay dead while playing offline
+        localPlayerDead = false;
+        localHealth = localMaxHealth;
+        if (weapon) {
+            weapon.isOwnerDead = false;
+        }
+        updateHealthDisplay();
+        hideDeathScreen();
         console.log('🔌 Connection lost - clearing all remote players');
         // Clear remote players when disconnected
         remotePlayers.forEach((remotePlayer, playerId) => {
@@ -936,13 +1096,19 @@ networkManager.onConnectionChange = (connected) => {
         console.log('🧹 All remote players cleared due to disconnection');
         
         // Only activate offline fallback if the game has already started
-        // Don't activate during initial connection phase
-        if (gameIsReady && gameStartRequested && offlineFallback) {
+        // Don't activate during initial connection phase, or while we're still trying to get back
+        if (networkManager.isReconnecting()) {
+            console.log('🔁 Connection lost during gameplay - waiting for reconnection');
+        } else if (gameIsReady && gameStartRequested && offlineFallback) {
             console.log('🔄 Activating offline mode due to connection loss during gameplay');
             offlineFallback.activate();
         }
     } else {
         console.log('🌐 Connected to server - deactivating offline mode');
+        if (aimTrainer) {
+            aimTrainer.stop();
+        }
+        setAimTrainerMenuVisible(false);
         // Deactivate offline fallback when reconnected
         if (offlineFallback && offlineFallback.isOfflineMode) {
             offlineFallback.deactivate();
@@ -950,10 +1116,35 @@ networkManager.onConnectionChange = (connected) => {
     }
 };
 
+networkManager.onReconnecting = (attempt, maxAttempts) => {
+    showReconnectOverlay(attempt, maxAttempts);
+};
+
+networkManager.onReconnected = () => {
+    // The session token in joinRoom hands us our old player back
+    hideReconnectOverlay();
+};
+
+networkManager.onReconnectFailed = (attempts) => {
+    hideReconnectOverlay();
+    if (gameIsReady && gameStartRequested && offlineFallback && !offlineFallback.isOfflineMode) {
+        console.log(`🔄 Server unreachable after ${attempts} attempts - switching to offline mode`);
+        offlineFallback.activate();
+    }
+    
+    // The first connect never worked - let the player start offline
+    if (gameIsReady && gameStartRequested && !networkSynced) {
+        networkSynced = true;
+        playerCanMove = true;
+        showGameInstructions();
+    }
+};
+
 // Initialize weapon system first, then connect to multiplayer
 let weapon = null;
 let targetManager = null;
 let offlineFallback = null;
+let aimTrainer = null;
 
 // Initialize systems asynchronously
 async function initializeSystems() {
@@ -977,9 +1168,16 @@ async function initializeSystems() {
         // Initialize offline fallback system
         offlineFallback = new OfflineFallbackSystem(scene, targetManager, weapon);
         
+        setupSurvivalCallbacks();
+        
+        // Initialize aim trainer (offline drills)
+        aimTrainer = new AimTrainer(targetManager, weapon, player, offlineFallback);
+        aimTrainer.onFinished = showAimTrainerResults;
+        
         // Expose globally for debugging
         window.targetManager = targetManager;
         window.offlineFallback = offlineFallback;
+        window.aimTrainer = aimTrainer;
         
         // Add debug function to manually scan targets
         window.scanTargets = () => {
@@ -1028,6 +1226,8 @@ async function initializeSystems() {
         // Set up callbacks after initialization
         if (targetManager) {
             targetManager.onTargetDestroyed = (points) => {
+                // Online scores come from the server (see networkManager.onTargetDestroyed)
+                if (networkManager.isConnected) return;
                 score += points;
                 updateScoreDisplay();
             };
@@ -1052,12 +1252,27 @@ async function initializeSystems() {
             weapon.onAmmoChange = (mag, total) => {
                 updateAmmoDisplay(mag, total);
             };
+            weapon.onWeaponChange = (definition, slot) => {
+                updateWeaponDisplay(definition, slot);
+            };
+            weapon.onReloadChange = (state) => {
+                const ammoElement = document.getElementById('ammo');
+                if (ammoElement) {
+                    ammoElement.classList.toggle('reloading', state === 'start');
+                }
+            };
+            weapon.onHitMarker = (zone) => {
+                showHitMarker(zone);
+            };
             
             // Initialize HUD with starting ammo after a delay
             setTimeout(() => {
                 if (weapon) {
                     const ammo = weapon.getAmmoCount();
                     updateAmmoDisplay(ammo.mag, ammo.total);
+                    if (weapon.currentSlot >= 0) {
+                        updateWeaponDisplay(weapon.definition, weapon.currentSlot);
+                    }
                 }
             }, 1000);
         }
@@ -1091,7 +1306,7 @@ if (window.gameLoadingManager) {
                 <p>Click or press <strong>F</strong> to start playing</p>
                 <p>Use <strong>WASD</strong> to move, <strong>Space</strong> to jump</p>
                 <p>Left click to shoot, <strong>R</strong> to reload</p>
-                <p>Press <strong>Tab</strong> for debug panel</p>
+                <p>Hold <strong>Tab</strong> for scoreboard, press <strong>G</strong> for debug panel</p>
                 <p>Press <strong>Escape</strong> to exit</p>
             `;
         }
@@ -1127,7 +1342,7 @@ function startGame() {
         
         // Set up connection timeout to fallback to offline mode
         const connectionTimeout = setTimeout(() => {
-            if (!networkManager.isConnected) {
+            if (!networkManager.isConnected && !networkManager.isReconnecting()) {
                 console.log('🔌 Connection timeout - falling back to offline mode');
                 if (offlineFallback) {
                     offlineFallback.activate();
@@ -1178,11 +1393,20 @@ function startGame() {
             }
         };
         
-        networkManager.connect();
+        networkManager.connect(window.gameRoomSelection);
         
         // Add error handling for connection failures
         if (networkManager.socket) {
             networkManager.socket.on('connect_error', (error) => {
+                if (startupConnectionHandled) return; // Later failures belong to the reconnection flow
+                
+                // A failed first connect is retried with backoff; onReconnectFailed goes offline if it never works
+                if (networkManager.isReconnecting()) {
+                    console.log('🔁 Connection error during startup - retrying:', error.message);
+                    clearTimeout(connectionTimeout);
+                    return;
+                }
+                
                 console.log('🔌 Connection error - activating offline fallback:', error);
                 clearTimeout(connectionTimeout);
                 if (offlineFallback && !offlineFallback.isOfflineMode) {
@@ -1193,6 +1417,10 @@ function startGame() {
                 showGameInstructions();
             });
         }
+    } else if (networkManager && networkManager.isConnected && !networkManager.currentRoom) {
+        // Connected but the last room selection was refused - try the new one
+        console.log('🌐 Already connected to server, joining room...');
+        networkManager.joinRoom(window.gameRoomSelection);
     } else if (networkManager && networkManager.isConnected) {
         // Already connected - just show instructions
         console.log('🌐 Already connected to server');
@@ -1219,14 +1447,18 @@ function showGameInstructions() {
             `<p><strong>Status:</strong> 🌐 Online Multiplayer</p>` : 
             `<p><strong>Status:</strong> 🔄 Single Player (Offline)</p>`;
             
+        const roomInfo = networkManager?.isConnected && networkManager.currentRoom ?
+            `<p><strong>Room:</strong> ${networkManager.currentRoom.name}</p>` : '';
+            
         instructions.innerHTML = `
             <h2>Cat FPS Game</h2>
             <p><strong>Player:</strong> ${window.gamePlayerName || 'Guest'}</p>
             ${connectionStatus}
+            ${roomInfo}
             <p>Click or press <strong>F</strong> to start playing</p>
             <p>Use <strong>WASD</strong> to move, <strong>Space</strong> to jump</p>
             <p>Left click to shoot, <strong>R</strong> to reload</p>
-            <p>Press <strong>Tab</strong> for debug panel</p>
+            <p>Hold <strong>Tab</strong> for scoreboard, press <strong>G</strong> for debug panel</p>
             <p>Press <strong>Escape</strong> to exit</p>
             ${!networkManager?.isConnected ? '<p><em>Note: Playing in offline mode with AI targets</em></p>' : ''}
         `;
@@ -1241,6 +1473,16 @@ initializeSystems();
 let score = 0;
 
 // HUD update functions
+function updateWeaponDisplay(definition, slot) {
+    let weaponElement = document.getElementById('weapon');
+    if (!weaponElement) {
+        weaponElement = document.createElement('div');
+        weaponElement.id = 'weapon';
+        document.getElementById('hud').appendChild(weaponElement);
+    }
+    weaponElement.textContent = `🔫 [${slot + 1}] ${definition.name}`;
+}
+
 function updateAmmoDisplay(mag, total) {
     const ammoElement = document.getElementById('ammo');
     if (!ammoElement) {
@@ -1284,6 +1526,126 @@ function updateTargetsDisplay() {
     }
 }
 
+function updateTeamDisplay() {
+    let teamElement = document.getElementById('team');
+    const team = networkManager.isTeamMode() ? networkManager.localTeam : null;
+    
+    if (!teamElement) {
+        // Create team display if it doesn't exist
+        const hud = document.getElementById('hud');
+        teamElement = document.createElement('div');
+        teamElement.id = 'team';
+        hud.appendChild(teamElement);
+    }
+    
+    teamElement.style.display = team ? 'block' : 'none';
+    teamElement.innerHTML = team ? `Team: ${TEAM_LABELS[team]}` : '';
+}
+
+function updateHealthDisplay() {
+    const healthFill = document.getElementById('healthFill');
+    const healthText = document.getElementById('healthText');
+    if (!healthFill || !healthText) return;
+    
+    const percent = Math.max(0, Math.min(100, (localHealth / localMaxHealth) * 100));
+    healthFill.style.width = `${percent}%`;
+    healthFill.classList.toggle('low', percent <= 30);
+    healthText.textContent = `${Math.ceil(localHealth)} / ${localMaxHealth}`;
+}
+
+// Kill feed (top right, newest last)
+function addKillFeedEntry(killData) {
+    const killFeed = document.getElementById('killFeed');
+    if (!killFeed) return;
+    
+    const entry = document.createElement('div');
+    entry.textContent = `${killData.killerName} ⚔️ ${killData.victimName}`;
+    if (killData.killerId === networkManager.playerId || killData.victimId === networkManager.playerId) {
+        entry.classList.add('self');
+    }
+    killFeed.appendChild(entry);
+    
+    // Keep the feed short
+    while (killFeed.children.length > 5) {
+        killFeed.removeChild(killFeed.firstChild);
+    }
+    
+    setTimeout(() => {
+        entry.style.opacity = '0';
+        setTimeout(() => entry.remove(), 500);
+    }, 5000);
+}
+
+function showDeathScreen(killData) {
+    const deathScreen = document.getElementById('deathScreen');
+    if (!deathScreen) return;
+    
+    deathScreen.innerHTML = `
+        <h2>You were eliminated</h2>
+        <p>Killed by <strong>${killData.killerName}</strong></p>
+        <p id="respawnCountdown"></p>
+    `;
+    deathScreen.classList.add('active');
+    updateDeathScreen();
+}
+
+function updateDeathScreen() {
+    const countdown = document.getElementById('respawnCountdown');
+    if (countdown) {
+        const secondsLeft = Math.max(0, Math.ceil((respawnCountdownEnd - performance.now()) / 1000));
+        countdown.textContent = secondsLeft > 0 ? `Respawning in ${secondsLeft}...` : 'Respawning...';
+    }
+}
+
+function hideDeathScreen() {
+    const deathScreen = document.getElementById('deathScreen');
+    if (deathScreen) {
+        deathScreen.classList.remove('active');
+    }
+}
+
+// Reconnection overlay - blocks input while we try to get the session back
+let reconnectCountdownTimer = null;
+
+function showReconnectOverlay(attempt, maxAttempts) {
+    const overlay = document.getElementById('reconnectOverlay');
+    const status = document.getElementById('reconnectStatus');
+    if (!overlay || !status) return;
+    
+    // Nothing to cover before the game has started
+    if (!gameIsReady || !gameStartRequested) return;
+    
+    if (window.inputBlocker) {
+        window.inputBlocker.block('reconnecting');
+    }
+    player.exitPointerLock();
+    overlay.classList.add('active');
+    
+    const renderStatus = () => {
+        const seconds = Math.ceil(networkManager.getTimeUntilReconnect() / 1000);
+        status.textContent = seconds > 0 ?
+            `Reconnecting... attempt ${attempt} of ${maxAttempts} in ${seconds}s` :
+            `Reconnecting... attempt ${attempt} of ${maxAttempts}`;
+    };
+    renderStatus();
+    
+    clearInterval(reconnectCountdownTimer);
+    reconnectCountdownTimer = setInterval(renderStatus, 250);
+}
+
+function hideReconnectOverlay() {
+    clearInterval(reconnectCountdownTimer);
+    reconnectCountdownTimer = null;
+    
+    const overlay = document.getElementById('reconnectOverlay');
+    if (overlay) {
+        overlay.classList.remove('active');
+    }
+    if (window.inputBlocker) {
+        window.inputBlocker.unblock('reconnecting');
+    }
+}
+
 // Update connection status and player count
 function updateConnectionStatus(connected) {
     const connectionElement = document.getElementById('connection');
@@ -1294,10 +1656,25 @@ function updateConnectionStatus(connected) {
         } else {
             connectionElement.textContent = '🔴 Offline';
             connectionElement.classList.remove('connected');
+            updateNetworkStats(null);
         }
     }
 }
 
+// Ping, jitter and packet loss under the connection indicator
+function updateNetworkStats(stats) {
+    const pingElement = document.getElementById('ping');
+    if (!pingElement) return;
+    
+    if (!stats || stats.ping === null) {
+        pingElement.textContent = '';
+        return;
+    }
+    
+    pingElement.textContent = `📶 ${stats.ping}ms ±${stats.jitter} · ${stats.packetLoss}% loss`;
+    pingElement.classList.toggle('poor', stats.ping > 150 || stats.packetLoss > 5);
+}
+
 function updatePlayerCount() {
     const playersElement = document.getElementById('players');
     if (playersElement) {
@@ -1315,12 +1692,405 @@ function updatePlayerCount() {
     }
 }
 
+// Match lifecycle (driven by the server's matchPhase events)
+let matchState = null;
+let matchPhaseReceivedAt = 0;
+
+const MATCH_PHASE_LABELS = {
+    warmup: 'Warmup',
+    live: 'Match',
+    overtime: 'Overtime',
+    results: 'Match Over'
+};
+
+function handleMatchPhase(matchData) {
+    const previousPhase = matchState?.phase;
+    matchState = matchData;
+    matchPhaseReceivedAt = performance.now();
+
+    if (!matchData) {
+        updateMatchBanner();
+        hideMatchResults();
+        return;
+    }
+
+    // Scores reset when a new match (or its warmup) begins
+    if (matchData.phase !== previousPhase && (matchData.phase === 'warmup' || matchData.phase === 'live')) {
+        const self = matchData.ranking.find(p => p.id === networkManager.playerId);
+        score = self ? self.score : 0;
+        updateScoreDisplay();
+    }
+
+    if (matchData.phase === 'results') {
+        showMatchResults(matchData);
+    } else {
+        hideMatchResults();
+    }
+
+    if (matchData.phase === 'live' && previousPhase === 'warmup') {
+        console.log('🏁 Match started!');
+    } else if (matchData.phase === 'overtime') {
+        console.log('⏱️ Overtime - next point wins!');
+    }
+
+    updateMatchBanner();
+}
+
+function getMatchTimeRemaining() {
+    if (!matchState) return 0;
+    return Math.max(0, matchState.timeRemaining - (performance.now() - matchPhaseReceivedAt));
+}
+
+function formatMatchTime(ms) {
+    const totalSeconds = Math.ceil(ms / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+}
+
+// Countdown banner at the top of the screen
+function updateMatchBanner() {
+    const banner = document.getElementById('matchBanner');
+    if (!banner) return;
+
+    // Offline survival runs and aim trainer drills use the same banner for their status
+    const drill = aimTrainer ? aimTrainer.getState() : null;
+    if (drill && !networkManager.isConnected) {
+        const seconds = Math.ceil(drill.timeLeft / 1000);
+        banner.textContent = drill.phase === 'countdown' ?
+            `🎯 ${drill.name} starts in ${seconds}s` :
+            `🎯 ${drill.name} - ${seconds}s | Hits ${drill.hits}/${drill.shots} | Kills ${drill.kills}`;
+        banner.className = 'active trainer';
+        return;
+    }
+
+    const survival = offlineFallback ? offlineFallback.getSurvivalState() : null;
+    if (survival && !networkManager.isConnected) {
+        banner.textContent = survival.nextWaveIn > 0 ?
+            `🌊 Wave ${survival.wave + 1} in ${Math.ceil(survival.nextWaveIn / 1000)}s | Score ${survival.score}` :
+            `🌊 Wave ${survival.wave} - ${survival.remaining} cats left | Score ${survival.score}`;
+        banner.className = 'active survival';
+        return;
+    }
+
+    if (!matchState || !networkManager.isConnected) {
+        banner.classList.remove('active');
+        return;
+    }
+
+    const timeLeft = formatMatchTime(getMatchTimeRemaining());
+    let text = `${MATCH_PHASE_LABELS[matchState.phase]} - ${timeLeft}`;
+
+    if (matchState.phase === 'warmup') {
+        text = `Warmup - match starts in ${timeLeft}`;
+    } else if (matchState.phase === 'live') {
+        text += ` | First to ${matchState.scoreLimit}`;
+    } else if (matchState.phase === 'results') {
+        text = `Next match in ${timeLeft}`;
+    }
+
+    if (matchState.teamMode) {
+        const teamScores = networkManager.teamScores;
+        text += ` | 🔴 ${teamScores.red} - ${teamScores.blue} 🔵`;
+    }
+
+    banner.textContent = text;
+    banner.className = `active ${matchState.phase}`;
+}
+
+// End-of-match results screen
+function showMatchResults(matchData) {
+    const results = document.getElementById('matchResults');
+    if (!results) return;
+
+    let winnerText = matchData.winner ?
+        (matchData.winner.id === networkManager.playerId ? '🏆 You win!' : `🏆 ${matchData.winner.name} wins!`) :
+        '🤝 Draw - no winner';
+
+    if (matchData.teamMode) {
+        const teamScores = matchData.teamScores;
+        winnerText = matchData.winningTeam ?
+            `🏆 ${TEAM_LABELS[matchData.winningTeam]} team wins! (🔴 ${teamScores.red} - ${teamScores.blue} 🔵)` :
+            `🤝 Draw (🔴 ${teamScores.red} - ${teamScores.blue} 🔵)`;
+    }
+
+    const rows = matchData.ranking.map((p, index) => `
+        <tr class="${p.id === networkManager.playerId ? 'self' : ''}">
+            <td>#${index + 1}</td>
+            <td>${p.team ? TEAM_ICONS[p.team] + ' ' : ''}${p.name}</td>
+            <td>${p.score}</td>
+            <td>${p.kills} kills</td>
+            <td>${p.accuracy.toFixed(1)}%</td>
+        </tr>
+    `).join('');
+
+    results.innerHTML = `
+        <h2>Match #${matchData.matchNumber} Over</h2>
+        <p>${winnerText}</p>
+        <table>${rows}</table>
+    `;
+    results.classList.add('active');
+
+    console.log(`🏆 Match results: ${winnerText}`);
+}
+
+function hideMatchResults() {
+    const results = document.getElementById('matchResults');
+    if (results) {
+        results.classList.remove('active');
+    }
+}
+
+// Offline survival mode (N to start/stop): health and results come from the offline fallback system
+let offlineResultsTimer = null;
+
+function setupSurvivalCallbacks() {
+    offlineFallback.onSurvivalDamaged = (health, maxHealth, damage) => {
+        localHealth = health;
+        localMaxHealth = maxHealth;
+        updateHealthDisplay();
+        if (damage > 0) {
+            player.addCameraShake(0.05, 0.15);
+        }
+    };
+
+    offlineFallback.onSurvivalUpdate = (state) => {
+        if (!state) {
+            // Run over or abandoned - back to full health for regular offline play
+            localHealth = localMaxHealth;
+            updateHealthDisplay();
+        }
+        updateMatchBanner();
+    };
+
+    offlineFallback.onSurvivalEnded = showSurvivalResults;
+}
+
+function showSurvivalResults(result) {
+    const results = document.getElementById('matchResults');
+    if (!results) return;
+
+    const minutes = Math.floor(result.duration / 60000);
+    const seconds = Math.floor((result.duration % 60000) / 1000);
+
+    results.innerHTML = `
+        <h2>💀 Overrun!</h2>
+        <p>You reached wave ${result.wave}</p>
+        <table>
+            <tr><td>Score</td><td>${result.score}</td></tr>
+            <tr><td>Cats stopped</td><td>${result.kills}</td></tr>
+            <tr><td>Survived</td><td>${minutes}:${seconds.toString().padStart(2, '0')}</td></tr>
+        </table>
+        <p style="margin-top: 1em; color: #ccc;">Press N to try again</p>
+    `;
+    results.classList.add('active');
+
+    clearTimeout(offlineResultsTimer);
+    offlineResultsTimer = setTimeout(hideMatchResults, 8000);
+}
+
+document.addEventListener('keydown', (event) => {
+    if (event.code !== 'KeyN' || event.repeat) return;
+    if (event.target && event.target.tagName === 'INPUT' && event.target.type !== 'range') return;
+    if (!offlineFallback || !offlineFallback.isOfflineMode) return;
+
+    if (offlineFallback.isSurvivalActive()) {
+        offlineFallback.stopSurvival();
+    } else {
+        clearTimeout(offlineResultsTimer);
+        hideMatchResults();
+        if (aimTrainer) {
+            aimTrainer.stop();
+        }
+        offlineFallback.startSurvival();
+    }
+});
+
+// Aim trainer (K for the drill menu, offline only)
+let aimTrainerMenuVisible = false;
+
+function setAimTrainerMenuVisible(visible) {
+    aimTrainerMenuVisible = visible;
+    const menu = document.getElementById('aimTrainerMenu');
+    if (!menu) return;
+
+    if (visible) {
+        const drills = Object.values(AIM_DRILLS).map((drill, index) => `
+            <tr><td><kbd>${index + 1}</kbd></td><td>${drill.name}</td><td>${drill.description}</td><td>${drill.duration}s</td></tr>
+        `).join('');
+        menu.innerHTML = `
+            <h3>🎯 Aim Trainer</h3>
+            <table>${drills}</table>
+            <p>Press a number to start, K to close</p>
+        `;
+    }
+    menu.classList.toggle('active', visible);
+}
+
+function showAimTrainerResults(results) {
+    const panel = document.getElementById('matchResults');
+    if (!panel) return;
+
+    const formatMs = (ms) => ms === null ? '-' : `${Math.round(ms)} ms`;
+
+    panel.innerHTML = `
+        <h2>🎯 ${results.name} Results</h2>
+        <table>
+            <tr><td>Accuracy</td><td>${results.accuracy.toFixed(1)}% (${results.hits}/${results.shots})</td></tr>
+            <tr><td>Kills</td><td>${results.kills} in ${results.duration}s</td></tr>
+            <tr><td>Avg. time to kill</td><td>${formatMs(results.averageTimeToKill)}</td></tr>
+            <tr><td>Avg. reaction time</td><td>${formatMs(results.averageReactionTime)}</td></tr>
+            <tr><td>Avg. distance from center</td><td>${results.averageOffset === null ? '-' : `${(results.averageOffset * 100).toFixed(0)}% of hitbox`}</td></tr>
+        </table>
+        <canvas id="hitHeatmap" width="160" height="160"></canvas>
+        <p style="color: #ccc;">Where your hits landed on the cats - press K for another drill</p>
+    `;
+    panel.classList.add('active');
+    drawHitHeatmap(document.getElementById('hitHeatmap'), results.hitOffsets);
+
+    clearTimeout(offlineResultsTimer);
+    offlineResultsTimer = setTimeout(hideMatchResults, 12000);
+}
+
+// Hits relative to the target center: the circle is the hitbox, brighter = more hits
+function drawHitHeatmap(canvas, offsets) {
+    if (!canvas) return;
+
+    const context = canvas.getContext('2d');
+    const center = canvas.width / 2;
+    const radius = canvas.width * 0.3; // One hit radius
+
+    context.fillStyle = 'rgba(255, 255, 255, 0.05)';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+
+    context.globalCompositeOperation = 'lighter';
+    offsets.forEach(offset => {
+        const x = center + Math.max(-1.6, Math.min(1.6, offset.x)) * radius;
+        const y = center - Math.max(-1.6, Math.min(1.6, offset.y)) * radius;
+        const glow = context.createRadialGradient(x, y, 0, x, y, 12);
+        glow.addColorStop(0, 'rgba(255, 107, 107, 0.5)');
+        glow.addColorStop(1, 'rgba(255, 107, 107, 0)');
+        context.fillStyle = glow;
+        context.fillRect(x - 12, y - 12, 24, 24);
+    });
+    context.globalCompositeOperation = 'source-over';
+
+    context.strokeStyle = 'rgba(78, 205, 196, 0.8)';
+    context.beginPath();
+    context.arc(center, center, radius, 0, Math.PI * 2);
+    context.moveTo(center - 5, center);
+    context.lineTo(center + 5, center);
+    context.moveTo(center, center - 5);
+    context.lineTo(center, center + 5);
+    context.stroke();
+}
+
+document.addEventListener('keydown', (event) => {
+    if (event.target && event.target.tagName === 'INPUT' && event.target.type !== 'range') return;
+    if (!aimTrainer || !offlineFallback || !offlineFallback.isOfflineMode) return;
+
+    if (event.code === 'KeyK' && !event.repeat) {
+        if (aimTrainer.isActive()) {
+            aimTrainer.stop();
+        } else {
+            setAimTrainerMenuVisible(!aimTrainerMenuVisible);
+        }
+        return;
+    }
+
+    if (aimTrainerMenuVisible && event.code.startsWith('Digit')) {
+        const drillId = Object.keys(AIM_DRILLS)[parseInt(event.code.slice(5), 10) - 1];
+        if (drillId) {
+            event.stopImmediatePropagation(); // Picking a drill, not a weapon slot
+            setAimTrainerMenuVisible(false);
+            clearTimeout(offlineResultsTimer);
+            hideMatchResults();
+            aimTrainer.start(drillId);
+        }
+    }
+});
+
+// Scoreboard (held with Tab)
+let scoreboardVisible = false;
+
+function updateScoreboard() {
+    const scoreboard = document.getElementById('scoreboard');
+    if (!scoreboard) return;
+
+    if (!networkManager.isConnected) {
+        scoreboard.innerHTML = `
+            <h3>Scoreboard</h3>
+            <p>Offline - score: ${score}</p>
+        `;
+        return;
+    }
+
+    const pvp = networkManager.isPvpEnabled();
+    const rows = networkManager.getScoreboard().map((p, index) => `
+        <tr class="${p.id === networkManager.playerId ? 'self' : ''}">
+            <td>#${index + 1}</td>
+            <td>${p.team ? TEAM_ICONS[p.team] + ' ' : ''}${p.name || 'Guest'}</td>
+            <td>${p.score || 0}</td>
+            <td>${p.kills || 0}</td>
+            <td>${p.hits || 0}/${p.shotsFired || 0}</td>
+            <td>${(p.accuracy || 0).toFixed(1)}%</td>
+            ${pvp ? `<td>${p.playerKills || 0}/${p.deaths || 0}</td>` : ''}
+        </tr>
+    `).join('');
+
+    const roomName = networkManager.currentRoom ? networkManager.currentRoom.name : '';
+    const phase = matchState ? ` - ${MATCH_PHASE_LABELS[matchState.phase]}` : '';
+
+    const teamLine = networkManager.isTeamMode() ?
+        `<p style="text-align: center; margin-bottom: 10px;">🔴 ${networkManager.teamScores.red} - ${networkManager.teamScores.blue} 🔵</p>` : '';
+
+    scoreboard.innerHTML = `
+        <h3>${roomName}${phase}</h3>
+        ${teamLine}
+        <table>
+            <tr><th></th><th>Player</th><th>Score</th><th>Kills</th><th>Hits</th><th>Accuracy</th>${pvp ? '<th>K/D</th>' : ''}</tr>
+            ${rows}
+        </table>
+    `;
+}
+
+function setScoreboardVisible(visible) {
+    scoreboardVisible = visible;
+    const scoreboard = document.getElementById('scoreboard');
+    if (scoreboard) {
+        scoreboard.classList.toggle('active', visible);
+    }
+    if (visible) {
+        updateScoreboard();
+    }
+}
+
+document.addEventListener('keydown', (event) => {
+    if (event.code === 'Tab') {
+        event.preventDefault(); // Keep focus in the game
+        if (!scoreboardVisible) {
+            setScoreboardVisible(true);
+        }
+    }
+});
+
+document.addEventListener('keyup', (event) => {
+    if (event.code === 'Tab') {
+        setScoreboardVisible(false);
+    }
+});
+
+// Hide the scoreboard if the window loses focus while Tab is held
+window.addEventListener('blur', () => setScoreboardVisible(false));
+
 // Debug Panel functionality
 let debugPanelVisible = false;
 
-// Toggle debug panel with Tab key
+// Toggle debug panel with G key
 document.addEventListener('keydown', (event) => {
-    if (event.code === 'Tab') {
+    if (event.code === 'KeyG') {
+        // Don't steal the key from text inputs (name, room)
+        if (event.target && event.target.tagName === 'INPUT' && event.target.type !== 'range') return;
         event.preventDefault();
         debugPanelVisible = !debugPanelVisible;
         const debugPanel = document.getElementById('debugPanel');
@@ -1411,6 +2181,58 @@ let frameCount = 0;
 let lastFpsTime = performance.now();
 let lastTime = performance.now();
 
+// Spread the crosshair lines to where the shots can actually land, swap in the scope when aiming a sniper
+const crosshair = document.getElementById('crosshair');
+const scopeOverlay = document.getElementById('scopeOverlay');
+let crosshairGap = -1;
+let scopeVisible = false;
+
+function updateCrosshair() {
+    if (!crosshair || !weapon.getCurrentSpread) return;
+    
+    const scoped = weapon.isScoped();
+    if (scoped !== scopeVisible) {
+        scopeVisible = scoped;
+        scopeOverlay.style.display = scoped ? 'block' : 'none';
+        crosshair.style.display = scoped ? 'none' : 'block';
+    }
+    crosshair.classList.toggle('aiming', weapon.adsAmount > 0.5);
+    
+    // Spread is the cone radius at distance 1, project it onto the screen
+    const pixelsPerUnit = (window.innerHeight / 2) / Math.tan(THREE.MathUtils.degToRad(camera.fov / 2));
+    const gap = Math.round(Math.max(3, weapon.getCurrentSpread() * pixelsPerUnit));
+    if (gap !== crosshairGap) {
+        crosshairGap = gap;
+        crosshair.style.setProperty('--gap', `${gap}px`);
+    }
+}
+
+// Flash an X around the crosshair when our bullets land, a red one for head shots
+const hitMarker = document.getElementById('hitMarker');
+
+function showHitMarker(zone) {
+    if (!hitMarker) return;
+    
+    hitMarker.classList.remove('show', 'head', 'body');
+    void hitMarker.offsetWidth; // Restart the fade animation
+    hitMarker.classList.add('show', zone === 'head' ? 'head' : 'body');
+}
+
+// Reload progress bar under the crosshair
+const reloadIndicator = document.getElementById('reloadIndicator');
+
+function updateReloadIndicator() {
+    if (!reloadIndicator || !weapon.getReloadProgress) return;
+    
+    const progress = weapon.getReloadProgress();
+    if (progress === null) {
+        reloadIndicator.style.display = 'none';
+        return;
+    }
+    reloadIndicator.style.display = 'block';
+    reloadIndicator.firstElementChild.style.width = `${Math.round(progress * 100)}%`;
+}
+
 function animate() {
     requestAnimationFrame(animate);
     
@@ -1429,51 +2251,35 @@ function animate() {
         lastFpsTime = currentTime;
     }
     
-    // Update player
-    player.update();
+    // Update player (dead players wait for the server to respawn them)
+    if (!localPlayerDead) {
+        player.update();
+    } else {
+        updateDeathScreen();
+    }
     
-    // Send player state to server
-    if (networkManager.isConnected && player.isLocked) {
+    // Update match countdown and scoreboard
+    updateMatchBanner();
+    if (scoreboardVisible && frameCount % 15 === 0) {
+        updateScoreboard();
+    }
+    
+    // Send movement inputs to the server (it simulates them and sends back our position)
+    if (networkManager.isConnected) {
         const playerInput = {
             name: window.gamePlayerName || 'Guest',
-            position: {
-                x: player.camera.position.x,
-                y: player.camera.position.y,
-                z: player.camera.position.z
-            },
-            rotation: {
-                x: player.rotationX,
-                y: player.rotationY
-            },
-            velocity: {
-                x: player.velocity.x,
-                y: player.velocity.y,
-                z: player.velocity.z
-            },
-            isMoving: player.isWalking,
-            isCrouching: player.isCrouching,
-            isRunning: player.isRunning
-        };
-        networkManager.sendPlayerInput(playerInput);
-    } else if (networkManager.isConnected && !player.isLocked) {
-        // Send basic position even when not locked, in case player is in menu
-        const basicInput = {
-            name: window.gamePlayerName || 'Guest',
-            position: {
-                x: player.camera.position.x,
-                y: player.camera.position.y,
-                z: player.camera.position.z
-            },
+            inputs: player.unsentInputs,
             rotation: {
                 x: player.rotationX || 0,
                 y: player.rotationY || 0
             },
-            velocity: { x: 0, y: 0, z: 0 },
-            isMoving: false,
-            isCrouching: false,
-            isRunning: false
+            isMoving: player.isLocked && player.isWalking,
+            isCrouching: player.isLocked && player.isCrouching,
+            isRunning: player.isLocked && player.isRunning
         };
-        networkManager.sendPlayerInput(basicInput);
+        if (networkManager.sendPlayerInput(playerInput)) {
+            player.takeUnsentInputs();
+        }
     }
     
     // Update remote players
@@ -1514,6 +2320,8 @@ function animate() {
     // Update weapon system (if loaded)
     if (weapon) {
         weapon.update(0.016); // Assuming ~60fps
+        updateCrosshair();
+        updateReloadIndicator();
         
         // Debug weapon state occasionally
         if (frameCount % 300 === 0) { // Every 5 seconds at 60fps
@@ -1536,6 +2344,11 @@ function animate() {
         offlineFallback.update(deltaTime);
     }
     
+    // Update aim trainer drill (if running)
+    if (aimTrainer) {
+        aimTrainer.update();
+    }
+    
     // Update HUD with player info
     if (player.isLocked) {
         const speed = Math.sqrt(player.velocity.x * player.velocity.x + player.velocity.z * player.velocity.z);
@@ -1543,6 +2356,7 @@ function animate() {
         document.getElementById('speed').textContent = `Speed: ${speed.toFixed(1)}`;
         document.getElementById('position').textContent = `Position: ${pos.x.toFixed(1)}, ${pos.y.toFixed(1)}, ${pos.z.toFixed(1)}`;
         document.getElementById('hud').classList.add('active');
+        document.getElementById('healthBar').classList.add('active');
         
         // Update additional HUD elements (if systems loaded)
         if (targetManager) {
@@ -1550,6 +2364,7 @@ function animate() {
         }
     } else {
         document.getElementById('hud').classList.remove('active');
+        document.getElementById('healthBar').classList.remove('active');
     }
     
     // ...existing animation code...
@@ -0,0 +1,85 @@
+// Target movement patterns from target-types.json: bob, patrol, strafe, circle and hop
+// Loaded as a plain script by the client (offline targets) and required by the server, which
+// moves multiplayer targets in its tick loop and sends their positions in snapshots.
+
+const TARGET_MOTION_DEFAULT = { pattern: 'bob', speed: [0.5, 1.5], range: [0.1, 0.3], spin: 0.25 };
+
+class TargetMotion {
+    // Random value in a [min, max] range (plain numbers are used as-is)
+    static roll(range) {
+        if (!Array.isArray(range)) return range;
+        return range[0] + Math.random() * (range[1] - range[0]);
+    }
+
+    // Roll a motion around an anchor point. `movement` is one pattern definition or a list
+    // to pick from: { pattern, speed, range, spin }. For bob/strafe/circle/hop `speed` is in
+    // radians per second, for patrol in units per second; `range` is the height, half-width,
+    // radius or path length.
+    static create(movement, anchor) {
+        const options = Array.isArray(movement) ? movement : [movement || TARGET_MOTION_DEFAULT];
+        const definition = options[Math.floor(Math.random() * options.length)];
+        const pattern = definition.pattern || 'bob';
+
+        return {
+            pattern: pattern,
+            anchor: { x: anchor.x, y: anchor.y, z: anchor.z },
+            speed: TargetMotion.roll(definition.speed ?? 1),
+            range: TargetMotion.roll(definition.range ?? 0.2),
+            spin: (Math.random() < 0.5 ? -1 : 1) * (definition.spin || 0),
+            phase: Math.random() * Math.PI * 2,
+            // Strafing goes across the players' view (x axis), patrols go anywhere
+            heading: pattern === 'patrol' ? Math.random() * Math.PI * 2 : 0,
+            yaw: Math.random() * Math.PI * 2
+        };
+    }
+
+    // Position and facing (yaw) at a time in seconds
+    static sample(motion, time) {
+        const anchor = motion.anchor;
+        const angle = motion.phase + time * motion.speed;
+        const position = { x: anchor.x, y: anchor.y, z: anchor.z };
+        let yaw = motion.yaw + motion.spin * time;
+
+        switch (motion.pattern) {
+            case 'patrol': {
+                // Walk the path at constant speed and turn around at each end
+                const length = Math.max(motion.range, 0.001);
+                const travelled = (motion.phase / (Math.PI * 2)) * 2 * length + time * motion.speed;
+                const cycle = travelled % (2 * length);
+                const offset = (cycle < length ? cycle : 2 * length - cycle) - length / 2;
+                position.x += Math.cos(motion.heading) * offset;
+                position.z += Math.sin(motion.heading) * offset;
+                yaw = motion.yaw + (cycle < length ? 0 : Math.PI);
+                break;
+            }
+            case 'strafe': {
+                const offset = Math.sin(angle) * motion.range;
+                position.x += Math.cos(motion.heading) * offset;
+                position.z += Math.sin(motion.heading) * offset;
+                break;
+            }
+            case 'circle':
+                position.x += Math.cos(angle) * motion.range;
+                position.z += Math.sin(angle) * motion.range;
+                break;
+            case 'hop':
+                // Bounce off the anchor height instead of going below it
+                position.y += Math.abs(Math.sin(angle)) * motion.range;
+                break;
+            default: // 'bob'
+                position.y += Math.sin(angle) * motion.range;
+        }
+
+        return { position, yaw };
+    }
+}
+
+// Make available globally for the browser
+if (typeof window !== 'undefined') {
+    window.TargetMotion = TargetMotion;
+}
+
+// Export for the server
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TargetMotion };
+}
@@ -1,6 +1,32 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 
+// Used until (or if) src/target-types.json can't be loaded - matches the old random targets
+const DEFAULT_TARGET_TYPE = {
+    name: 'Cat',
+    scale: [5, 5.5],
+    health: [75, 125],
+    points: [10, 29],
+    hitRadius: 3,
+    tint: null,
+    movement: { pattern: 'bob', speed: [0.5, 1.5], range: [0.1, 0.3], spin: 0.25 },
+    destructionEffect: 'confetti'
+};
+
+// Used with DEFAULT_TARGET_TYPE - head shots count double
+const DEFAULT_HIT_ZONES = {
+    head: { multiplier: 2 },
+    body: { multiplier: 1 }
+};
+
+// Particle presets for the destructionEffect each target type names
+const DESTRUCTION_EFFECTS = {
+    confetti: { count: 20, size: 0.05, speed: 4, lift: [1, 4], gravity: 0.15, duration: 2000, colors: null }, // Random colors
+    debris: { count: 30, size: 0.12, speed: 3, lift: [0.5, 2], gravity: 0.3, duration: 2500, colors: [0x576574, 0x8395a7, 0x222f3e] },
+    puff: { count: 14, size: 0.04, speed: 6, lift: [0, 2], gravity: 0.02, duration: 800, colors: [0xffffff, 0xdfe6e9, 0x74b9ff] },
+    sparkle: { count: 40, size: 0.06, speed: 3, lift: [2, 6], gravity: 0.05, duration: 3000, colors: [0xf9ca24, 0xffeaa7, 0xf0932b] }
+};
+
 export class TargetManager {
     constructor(scene, networkManager = null) {
         this.scene = scene;
@@ -10,12 +36,19 @@ export class TargetManager {
         this.targetModel = null;
         this.onTargetDestroyed = null; // Callback for score updates
         this.isModelLoaded = false; // Track if the target model is ready
+        this.targetTypes = { standard: DEFAULT_TARGET_TYPE }; // Replaced by src/target-types.json
+        this.spawnTables = { initial: { standard: 1 }, respawn: { standard: 1 } };
+        this.hitZones = DEFAULT_HIT_ZONES;
+        this.hitboxRegions = []; // How to split a model without head/body meshes into zones
+        this.hitboxes = []; // Zone boxes of the target model in its own space (src/hitboxes.js)
+        this.maxSnapshotAge = 1000; // ms of server target snapshots kept for interpolation
         
         this.init();
     }
     
     async init() {
         try {
+            await this.loadTargetTypes();
             await this.loadTargetModel();
             
             // Don't spawn initial targets automatically in multiplayer - they come from server
@@ -37,12 +70,111 @@ export class TargetManager {
         }
     }
     
+    // Target types are shared with the server, which picks them for multiplayer targets
+    async loadTargetTypes() {
+        try {
+            const response = await fetch('src/target-types.json');
+            const data = await response.json();
+            this.targetTypes = data.types;
+            this.spawnTables = data.spawnTables;
+            this.hitZones = data.hitZones || DEFAULT_HIT_ZONES;
+            this.hitboxRegions = data.hitboxRegions || [];
+            console.log('✅ Target types loaded:', Object.keys(this.targetTypes).join(', '));
+        } catch (error) {
+            console.warn('Could not load target types, using the standard cat only:', error);
+        }
+    }
+    
+    getTargetType(typeId) {
+        return this.targetTypes[typeId] || this.targetTypes.standard || DEFAULT_TARGET_TYPE;
+    }
+    
+    // Random value in a [min, max] range (plain numbers are used as-is)
+    rollRange(range, integer = false) {
+        if (!Array.isArray(range)) return range;
+        const [min, max] = range;
+        return integer ? min + Math.floor(Math.random() * (max - min + 1)) : min + Math.random() * (max - min);
+    }
+    
+    // Pick a type from a weighted spawn table and roll its stats (same as the server's rollTargetOptions)
+    rollTargetOptions(tableName) {
+        const table = this.spawnTables[tableName] || {};
+        const entries = Object.entries(table).filter(([typeId]) => this.targetTypes[typeId]);
+        const totalWeight = entries.reduce((sum, [, weight]) => sum + weight, 0);
+        
+        let typeId = 'standard';
+        let roll = Math.random() * totalWeight;
+        for (const [candidate, weight] of entries) {
+            roll -= weight;
+            if (roll < 0) {
+                typeId = candidate;
+                break;
+            }
+        }
+        
+        const type = this.getTargetType(typeId);
+        return {
+            type: typeId,
+            scale: this.rollRange(type.scale),
+            health: this.rollRange(type.health),
+            points: this.rollRange(type.points, true)
+        };
+    }
+    
+    // Positions from a server gameUpdate (targets move on the server, we interpolate between them)
+    applyServerSnapshot(targetSnapshots, gameTime) {
+        const targetsById = new Map(this.targets.map(target => [target.userData.targetId, target]));
+        
+        targetSnapshots.forEach(snapshot => {
+            const target = targetsById.get(snapshot.id);
+            if (!target) return;
+            
+            const snapshots = target.userData.snapshots;
+            snapshots.push({
+                time: gameTime,
+                position: new THREE.Vector3(snapshot.position.x, snapshot.position.y, snapshot.position.z),
+                yaw: snapshot.yaw
+            });
+            
+            // Keep a second of history (at least two snapshots to interpolate between)
+            while (snapshots.length > 2 && gameTime - snapshots[0].time > this.maxSnapshotAge) {
+                snapshots.shift();
+            }
+        });
+    }
+    
+    // Interpolated position and yaw at renderTime; no extrapolation since targets turn sharply
+    sampleSnapshots(snapshots, renderTime) {
+        const newest = snapshots[snapshots.length - 1];
+        if (snapshots.length === 1 || renderTime === null || renderTime >= newest.time) {
+            return newest;
+        }
+        if (renderTime <= snapshots[0].time) {
+            return snapshots[0];
+        }
+        
+        let index = 0;
+        while (index < snapshots.length - 2 && snapshots[index + 1].time < renderTime) {
+            index++;
+        }
+        const from = snapshots[index];
+        const to = snapshots[index + 1];
+        const alpha = (renderTime - from.time) / (to.time - from.time);
+        const yawDelta = Math.atan2(Math.sin(to.yaw - from.yaw), Math.cos(to.yaw - from.yaw)); // Shortest way round
+        
+        return {
+            position: from.position.clone().lerp(to.position, alpha),
+            yaw: from.yaw + yawDelta * alpha
+        };
+    }
+    
     async loadTargetModel() {
         return new Promise((resolve, reject) => {
             this.loader.load(
                 'models/oiia_cat.glb',
                 (gltf) => {
                     this.targetModel = gltf.scene;
+                    this.buildHitboxes();
                     this.isModelLoaded = true;
                     console.log('✅ Cat model loaded successfully - target creation now possible');
                     resolve();
@@ -53,6 +185,7 @@ export class TargetManager {
                 (error) => {
                     console.warn('Could not load cat model, using fallback:', error);
                     this.createFallbackModel();
+                    this.buildHitboxes();
                     this.isModelLoaded = true;
                     console.log('✅ Fallback model created - target creation now possible');
                     resolve();
@@ -76,6 +209,7 @@ export class TargetManager {
         const headGeometry = new THREE.SphereGeometry(0.2, 12, 8);
         const headMaterial = new THREE.MeshStandardMaterial({ color: 0xff8888 });
         const head = new THREE.Mesh(headGeometry, headMaterial);
+        head.name = 'head'; // Named meshes give their own hit zone
         head.position.set(0, 0.4, 0.3);
         group.add(head);
         
@@ -84,10 +218,12 @@ export class TargetManager {
         const earMaterial = new THREE.MeshStandardMaterial({ color: 0xff4444 });
         
         const leftEar = new THREE.Mesh(earGeometry, earMaterial);
+        leftEar.name = 'head_ear_left';
         leftEar.position.set(-0.1, 0.55, 0.25);
         group.add(leftEar);
         
         const rightEar = new THREE.Mesh(earGeometry, earMaterial);
+        rightEar.name = 'head_ear_right';
         rightEar.position.set(0.1, 0.55, 0.25);
         group.add(rightEar);
         
@@ -103,6 +239,12 @@ export class TargetManager {
         console.log('Created fallback cat model');
     }
     
+    // Same boxes the server reads from the model file, shared by every target (they're in model space)
+    buildHitboxes() {
+        this.hitboxes = Hitboxes.fromObject(this.targetModel, this.hitZones, this.hitboxRegions);
+        console.log(`🎯 Target hitboxes: ${this.hitboxes.map(box => box.zone).join(', ')}`);
+    }
+    
     createTarget(position = new THREE.Vector3(), options = {}) {
         if (!this.targetModel) {
             console.error('❌ CRITICAL: Target model not loaded yet - this is why targets are not being created!');
@@ -113,6 +255,9 @@ export class TargetManager {
         
         console.log('✅ Target model is loaded, proceeding with target creation');
         
+        const typeId = options.type && this.targetTypes[options.type] ? options.type : 'standard';
+        const type = this.getTargetType(typeId);
+        
         // Clone the model
         const target = this.targetModel.clone();
         
@@ -120,7 +265,7 @@ export class TargetManager {
         target.position.copy(position);
         
         // Set scale
-        const scale = options.scale || 1.0;
+        const scale = options.scale || this.rollRange(type.scale);
         target.scale.setScalar(scale);
         
         // Set rotation with proper order
@@ -133,6 +278,11 @@ export class TargetManager {
         
         // Configure target properties
         target.userData.isTarget = true;
+        target.userData.type = typeId;
+        target.userData.hitRadius = type.hitRadius;
+        target.userData.hitboxes = this.hitboxes;
+        target.userData.hitZones = this.hitZones;
+        target.userData.destructionEffect = type.destructionEffect;
         target.userData.health = options.health || 100;
         target.userData.maxHealth = target.userData.health;
         target.userData.points = options.points || 10;
@@ -150,11 +300,12 @@ export class TargetManager {
             console.warn(`⚠️ Creating target without server ID - this may cause sync issues`);
         }
         
-        // Animation properties
-        target.userData.bobSpeed = 0.5 + Math.random() * 1.0;
-        target.userData.bobHeight = 0.1 + Math.random() * 0.2;
-        target.userData.rotationSpeed = (Math.random() - 0.5) * 0.5;
-        target.userData.initialY = position.y;
+        // Server targets are moved by gameUpdate snapshots; the ones we spawn ourselves
+        // (offline) follow their type's movement pattern locally
+        target.userData.snapshots = [];
+        target.userData.motion = options.targetId ? null : TargetMotion.create(type.movement, position);
+        
+        const tint = type.tint ? new THREE.Color(type.tint) : null;
         
         // Set up materials and shadows
         target.traverse((child) => {
@@ -165,6 +316,9 @@ export class TargetManager {
                 // Clone material to ensure each target has its own material instance
                 if (child.material) {
                     child.material = child.material.clone();
+                    if (tint) {
+                        child.material.color.multiply(tint);
+                    }
                     child.userData.originalColor = child.material.color.clone();
                     child.userData.originalEmissive = child.material.emissive ? child.material.emissive.clone() : new THREE.Color(0x000000);
                     child.userData.originalOpacity = child.material.opacity || 1.0; // Store original opacity
@@ -298,7 +452,7 @@ export class TargetManager {
         console.log(`🎯 Network manager available: ${!!this.networkManager}`);
         
         // Create destruction effect
-        this.createDestructionEffect(target.position);
+        this.createDestructionEffect(target.position, target.userData.destructionEffect);
         
         // Remove from weapon system's collision tracking
         if (window.weapon && window.weapon.removeTargetCollider) {
@@ -350,15 +504,18 @@ export class TargetManager {
         }
     }
     
-    createDestructionEffect(position) {
-        const particleCount = 20;
+    createDestructionEffect(position, effectName = 'confetti') {
+        const effect = DESTRUCTION_EFFECTS[effectName] || DESTRUCTION_EFFECTS.confetti;
         const particles = [];
         
-        for (let i = 0; i < particleCount; i++) {
+        for (let i = 0; i < effect.count; i++) {
+            const color = effect.colors ?
+                effect.colors[Math.floor(Math.random() * effect.colors.length)] :
+                new THREE.Color().setHSL(Math.random(), 0.7, 0.6);
             const particle = new THREE.Mesh(
-                new THREE.BoxGeometry(0.05, 0.05, 0.05),
+                new THREE.BoxGeometry(effect.size, effect.size, effect.size),
                 new THREE.MeshBasicMaterial({
-                    color: new THREE.Color().setHSL(Math.random(), 0.7, 0.6),
+                    color: color,
                     transparent: true,
                     opacity: 1.0
                 })
@@ -366,9 +523,9 @@ export class TargetManager {
             
             particle.position.copy(position);
             particle.velocity = new THREE.Vector3(
-                (Math.random() - 0.5) * 4,
-                Math.random() * 3 + 1,
-                (Math.random() - 0.5) * 4
+                (Math.random() - 0.5) * effect.speed,
+                this.rollRange(effect.lift),
+                (Math.random() - 0.5) * effect.speed
             );
             particle.angularVelocity = new THREE.Vector3(
                 Math.random() * 0.2,
@@ -384,7 +541,7 @@ export class TargetManager {
         const startTime = Date.now();
         const animateDestruction = () => {
             const elapsed = Date.now() - startTime;
-            const progress = elapsed / 2000; // 2 second duration
+            const progress = elapsed / effect.duration;
             
             if (progress >= 1) {
                 particles.forEach(particle => this.scene.remove(particle));
@@ -393,7 +550,7 @@ export class TargetManager {
             
             particles.forEach(particle => {
                 particle.position.add(particle.velocity.clone().multiplyScalar(0.016));
-                particle.velocity.y -= 0.15; // Gravity
+                particle.velocity.y -= effect.gravity;
                 particle.velocity.multiplyScalar(0.98); // Air resistance
                 
                 particle.rotation.x += particle.angularVelocity.x;
@@ -427,11 +584,7 @@ export class TargetManager {
         
         positions.forEach((pos, index) => {
             setTimeout(() => {
-                this.createTarget(pos, {
-                    scale: 5 + Math.random() * 0.5,
-                    health: 75 + Math.random() * 50,
-                    points: 10 + Math.floor(Math.random() * 20)
-                });
+                this.createTarget(pos, this.rollTargetOptions('initial'));
             }, index * 500); // Stagger spawning
         });
     }
@@ -441,27 +594,31 @@ export class TargetManager {
         const y = 1 + Math.random() * 4;
         const z = -15 - Math.random() * 25;
         
-        this.createTarget(new THREE.Vector3(x, y, z), {
-            scale: 5 + Math.random() * 0.6,
-            health: 50 + Math.random() * 100,
-            points: 5 + Math.floor(Math.random() * 25)
-        });
+        this.createTarget(new THREE.Vector3(x, y, z), this.rollTargetOptions('respawn'));
     }
     
     update(time) {
-        // Animate targets
+        const renderTime = this.networkManager ? this.networkManager.getRenderTime() : null;
+        
+        // Move targets
         this.targets.forEach(target => {
             if (!target.userData) return;
             
-            // Bobbing animation
-            const bobOffset = Math.sin(time * target.userData.bobSpeed) * target.userData.bobHeight;
-            target.position.y = target.userData.initialY + bobOffset;
+            let sample = null;
+            if (target.userData.snapshots && target.userData.snapshots.length > 0) {
+                sample = this.sampleSnapshots(target.userData.snapshots, renderTime);
+            } else if (target.userData.motion) {
+                sample = TargetMotion.sample(target.userData.motion, time);
+            }
+            if (!sample) return;
+            
+            target.position.copy(sample.position);
             
-            // Rotation animation - properly set with order
+            // Rotation - properly set with order
             if (!target.rotation.order) {
                 target.rotation.order = 'XYZ'; // Set default rotation order
             }
-            target.rotation.y += target.userData.rotationSpeed * 0.016;
+            target.rotation.y = sample.yaw;
         });
     }
     
@@ -1,6 +1,35 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 
+// Only used when src/weapons.json can't be loaded: a plain rifle without spread, recoil or sights.
+// Weapon stats are tuned in src/weapons.json, not here.
+const FALLBACK_WEAPON_DEFINITION = {
+    name: 'UwU-47',
+    model: 'models/ak47.glb',
+    fireMode: 'auto',
+    fireRate: 0.1,
+    damage: 10,
+    pellets: 1,
+    range: 100,
+    magSize: 30,
+    reserveAmmo: 1200,
+    reload: { tactical: 2.0, empty: 2.0, sounds: [] },
+    projectileSpeed: 25,
+    sound: 'sounds/oiia-oiia-short.mp3',
+    soundVolume: 0.5,
+    drawTime: 0.45,
+    holsterTime: 0.25
+};
+
+const HOLSTER_DROP = 0.6; // How far the view model sinks out of view while switching
+const EYE_HEIGHT = 0.8; // Camera height above the player body's center (Player.height / 2)
+
+// Damage multipliers for remote players - must match PVP_CONFIG.hitZones on the server
+const PLAYER_HIT_ZONES = {
+    head: { multiplier: 2 },
+    body: { multiplier: 1 }
+};
+
 export class Weapon {
     constructor(camera, scene, audioListener, playerBody = null, player = null, networkManager = null) {
         this.camera = camera;
@@ -27,17 +56,42 @@ export class Weapon {
         this.maxBulletTrails = 50;
         this.ammoModel = null; // Loaded ammo.glb model
         
-        // Shooting properties
+        // Inventory: one slot per weapon in the loadout, each with its own model and ammo
+        this.definitions = {}; // Weapon id -> definition from src/weapons.json
+        this.inventory = []; // { id, definition, model, mixer, animations, magAmmo, totalAmmo }
+        this.currentSlot = -1;
+        this.weaponId = null;
+        this.definition = FALLBACK_WEAPON_DEFINITION;
+        this.switchState = null; // { phase: 'holster' | 'draw', timer, duration, toSlot }
+        this.modelBasePosition = new THREE.Vector3();
+        this.lastWheelSwitch = 0;
+        this.soundBuffers = new Map(); // Sound path -> Promise<AudioBuffer>
+        
+        // Shooting properties (of the weapon in hand, see applyDefinition)
         this.isLoaded = false;
         this.isShooting = false;
         this.fireRate = 0.1; // Time between shots in seconds
         this.shootTimer = 0.0;
+        this.reloadState = null; // { type: 'tactical' | 'empty', elapsed, duration, nextCue } while reloading
+        
+        // Recoil and spread (per weapon `recoil` and `accuracy` in src/weapons.json)
+        this.recoilIndex = 0; // Shot number within the current spray
+        this.recoilOffset = { pitch: 0, yaw: 0 }; // Kick (radians) the view hasn't recovered from yet
+        this.lastShotTime = 0;
+        this.bloom = 0; // Extra spread from sustained fire
+        
+        // Aim down sights (per weapon `ads` in src/weapons.json)
+        this.isAiming = false; // Right mouse button held
+        this.adsAmount = 0; // 0 = hip, 1 = fully aimed
+        this.hipFov = camera.fov;
+        this.holsterAmount = 0;
         this.magAmmo = 30;
         this.maxAmmo = 30;
         this.totalAmmo = 1200;
         this.damage = 10;
         this.range = 100;
         this.blocked = false; // Input blocking
+        this.isOwnerDead = false; // Can't shoot while dead (PvP)
         
         // Visual effects
         this.muzzleFlash = null;
@@ -53,6 +107,10 @@ export class Weapon {
         
         // HUD elements
         this.onAmmoChange = null; // Callback for ammo updates
+        this.onShoot = null; // Callback for every projectile fired, each shotgun pellet included (muzzlePos, direction)
+        this.onWeaponChange = null; // Callback when a weapon is drawn (definition, slot)
+        this.onReloadChange = null; // Callback when a reload starts, is cancelled or finishes (state, type)
+        this.onHitMarker = null; // Callback when one of our bullets hits a target or player (zone)
         
         // Debug mode
         this.debugMode = false;
@@ -66,12 +124,12 @@ export class Weapon {
     async init() {
         try {
             console.log('Initializing weapon system...');
-            await this.loadModel();
+            await this.loadDefinitions();
+            await this.loadModels();
             await this.loadAmmoModel();
             this.setupMuzzleFlash();
             this.setupAudio();
-            this.setupAnimations();
-            this.attachWeapon();
+            this.equip(0);
             this.setupInput();
             this.isLoaded = true;
             
@@ -95,27 +153,60 @@ export class Weapon {
         }
     }
     
-    async loadModel() {
+    // Weapon definitions are shared with the server, which uses them to validate shots
+    async loadDefinitions() {
+        let loadout = ['rifle'];
+        try {
+            const response = await fetch('src/weapons.json');
+            const data = await response.json();
+            this.definitions = data.weapons;
+            loadout = data.loadout.filter(id => this.definitions[id]);
+            console.log('✅ Weapon definitions loaded:', Object.keys(this.definitions).join(', '));
+        } catch (error) {
+            console.warn('Could not load weapon definitions, using the rifle only:', error);
+            this.definitions = { rifle: FALLBACK_WEAPON_DEFINITION };
+        }
+        
+        this.inventory = loadout.map(id => {
+            const definition = this.definitions[id];
+            return {
+                id: id,
+                definition: definition,
+                model: null,
+                mixer: null,
+                animations: null,
+                magAmmo: definition.magSize,
+                totalAmmo: definition.reserveAmmo
+            };
+        });
+    }
+    
+    // Every slot gets its own copy of its model so each keeps its own animation state
+    async loadModels() {
+        await Promise.all(this.inventory.map(async (slot) => {
+            slot.model = await this.loadModel(slot.definition.model, slot.definition.name);
+        }));
+    }
+    
+    async loadModel(path, name) {
         const loader = new GLTFLoader();
         
-        return new Promise((resolve, reject) => {
-            // First try the exact filename that exists
+        return new Promise((resolve) => {
             loader.load(
-                'models/ak47.glb',
+                path,
                 (gltf) => {
-                    this.model = gltf.scene;
-                    this.model.animations = gltf.animations;
-                    console.log('AK-47 GLB model loaded successfully');
-                    resolve();
+                    const model = gltf.scene;
+                    model.animations = gltf.animations;
+                    console.log(`${name} GLB model loaded successfully`);
+                    resolve(model);
                 },
                 (progress) => {
-                    console.log('Loading AK-47:', Math.round(progress.loaded / progress.total * 100) + '%');
+                    console.log(`Loading ${name}:`, Math.round(progress.loaded / progress.total * 100) + '%');
                 },
                 (error) => {
-                    console.warn('Could not load AK-47 GLB model, trying fallback:', error);
+                    console.warn(`Could not load ${name} GLB model, trying fallback:`, error);
                     // Create a simple fallback weapon model
-                    this.createFallbackModel();
-                    resolve();
+                    resolve(this.createFallbackModel());
                 }
             );
         });
@@ -198,8 +289,8 @@ export class Weapon {
         magazine.position.set(0.05, -0.12, 0);
         group.add(magazine);
         
-        this.model = group;
         console.log('Created fallback weapon model');
+        return group;
     }
     
     setupAnimations() {
@@ -285,23 +376,234 @@ export class Weapon {
     setupAudio() {
         if (!this.audioListener) return;
         
-        // Create shoot sound
+        // Create shoot sound (its buffer follows the weapon in hand, see applySound)
         this.shootSound = new THREE.Audio(this.audioListener);
+        this.shootSound.setLoop(false);
+        
+        // Reload cues (magazine out/in, charging handle) share one source
+        this.reloadSound = new THREE.Audio(this.audioListener);
+        this.reloadSound.setLoop(false);
+    }
+    
+    // Load a sound once, however many weapons use it
+    loadSound(path) {
+        if (!this.soundBuffers.has(path)) {
+            this.soundBuffers.set(path, new Promise((resolve) => {
+                new THREE.AudioLoader().load(path, resolve, undefined, (error) => {
+                    console.warn('Could not load sound:', path, error);
+                    resolve(null);
+                });
+            }));
+        }
+        return this.soundBuffers.get(path);
+    }
+    
+    applySound(definition) {
+        if (!this.shootSound) return;
         
-        // Load shooting sound
-        const audioLoader = new THREE.AudioLoader();
-        audioLoader.load(
-            'sounds/oiia-oiia-short.mp3',
-            (buffer) => {
-                this.shootSound.setBuffer(buffer);
-                this.shootSound.setLoop(false);
-                this.shootSound.setVolume(0.5);
-            },
-            undefined,
-            (error) => {
-                console.warn('Could not load shoot sound:', error);
+        this.loadSound(definition.sound).then((buffer) => {
+            // Ignore it if we switched again while it was loading
+            if (!buffer || this.definition !== definition) return;
+            if (this.shootSound.isPlaying) {
+                this.shootSound.stop();
             }
-        );
+            this.shootSound.setBuffer(buffer);
+            this.shootSound.setVolume(definition.soundVolume ?? 0.5);
+        });
+        
+        // Have the reload cues ready before the first reload
+        const cues = (definition.reload && definition.reload.sounds) || [];
+        cues.forEach(cue => this.loadSound(cue.sound));
+    }
+    
+    // Put a weapon from the inventory in hand (no transition, see switchWeapon)
+    equip(slotIndex) {
+        const slot = this.inventory[slotIndex];
+        if (!slot) return;
+        
+        // Keep the ammo of the weapon we're putting away
+        const previous = this.inventory[this.currentSlot];
+        if (previous) {
+            previous.magAmmo = this.magAmmo;
+            previous.totalAmmo = this.totalAmmo;
+        }
+        if (this.model && this.model.parent) {
+            this.model.parent.remove(this.model);
+        }
+        
+        this.currentSlot = slotIndex;
+        this.weaponId = slot.id;
+        this.applyDefinition(slot.definition);
+        this.magAmmo = slot.magAmmo;
+        this.totalAmmo = slot.totalAmmo;
+        
+        // Each model has its own mixer, set up the first time it's drawn
+        this.model = slot.model;
+        if (!slot.mixer) {
+            this.animations = {};
+            this.mixer = null;
+            this.setupAnimations();
+            slot.mixer = this.mixer;
+            slot.animations = this.animations;
+        } else {
+            this.mixer = slot.mixer;
+            this.animations = slot.animations;
+        }
+        
+        this.attachWeapon();
+        this.applySound(slot.definition);
+        
+        console.log(`🔫 Equipped ${slot.definition.name} (slot ${slotIndex + 1}), ammo ${this.magAmmo}/${this.totalAmmo}`);
+        
+        if (this.onWeaponChange) {
+            this.onWeaponChange(slot.definition, slotIndex);
+        }
+        if (this.onAmmoChange) {
+            this.onAmmoChange(this.magAmmo, this.totalAmmo);
+        }
+    }
+    
+    applyDefinition(definition) {
+        this.definition = definition;
+        this.recoilIndex = 0;
+        this.recoilOffset = { pitch: 0, yaw: 0 }; // The new weapon doesn't pull the view back down
+        this.bloom = 0;
+        this.fireRate = definition.fireRate;
+        this.damage = definition.damage;
+        this.range = definition.range;
+        this.maxAmmo = definition.magSize;
+        this.bulletSpeed = definition.projectileSpeed;
+    }
+    
+    // Holster the current weapon, then draw the one in `slotIndex`
+    switchWeapon(slotIndex) {
+        if (!this.isLoaded || !this.inventory[slotIndex]) return false;
+        
+        if (this.switchState) {
+            // Changed our mind mid-switch: draw this one instead
+            if (this.switchState.phase === 'holster') {
+                this.switchState.toSlot = slotIndex;
+            } else if (slotIndex !== this.currentSlot) {
+                this.switchState = { phase: 'holster', timer: 0, duration: this.definition.holsterTime, toSlot: slotIndex };
+            }
+            return true;
+        }
+        if (slotIndex === this.currentSlot) return false;
+        
+        this.isShooting = false;
+        this.cancelReload('switch');
+        this.switchState = { phase: 'holster', timer: 0, duration: this.definition.holsterTime, toSlot: slotIndex };
+        console.log(`🔁 Switching to ${this.inventory[slotIndex].definition.name}`);
+        return true;
+    }
+    
+    // Next/previous weapon (scroll wheel), wrapping around the inventory
+    cycleWeapon(step) {
+        const count = this.inventory.length;
+        if (count < 2) return;
+        
+        const from = this.switchState ? this.switchState.toSlot : this.currentSlot;
+        this.switchWeapon((from + step + count) % count);
+    }
+    
+    isSwitching() {
+        return this.switchState !== null;
+    }
+    
+    updateSwitch(deltaTime) {
+        const state = this.switchState;
+        if (!state) return;
+        
+        state.timer += deltaTime;
+        const progress = state.duration > 0 ? Math.min(1, state.timer / state.duration) : 1;
+        
+        if (state.phase === 'holster') {
+            this.setHolsterOffset(progress);
+            if (progress >= 1) {
+                this.equip(state.toSlot);
+                this.switchState = { phase: 'draw', timer: 0, duration: this.definition.drawTime, toSlot: state.toSlot };
+                this.setHolsterOffset(1);
+            }
+        } else {
+            this.setHolsterOffset(1 - progress);
+            if (progress >= 1) {
+                this.switchState = null;
+                console.log(`✅ ${this.definition.name} ready`);
+            }
+        }
+    }
+    
+    // 0 = in hand, 1 = fully lowered out of view
+    setHolsterOffset(amount) {
+        this.holsterAmount = amount;
+        this.updateModelPosition();
+    }
+    
+    // Hip position blended toward the sights, then lowered while switching
+    updateModelPosition() {
+        if (!this.model) return;
+        
+        const smoothstep = (amount) => amount * amount * (3 - 2 * amount);
+        this.model.position.copy(this.modelBasePosition);
+        
+        const ads = this.definition.ads;
+        if (ads && this.playerBody && this.adsAmount > 0) {
+            // The sights stay in front of the eye whichever way we look up or down
+            const sightPosition = new THREE.Vector3().fromArray(ads.offset)
+                .applyAxisAngle(new THREE.Vector3(1, 0, 0), this.player ? this.player.rotationX || 0 : 0);
+            sightPosition.y += EYE_HEIGHT;
+            this.model.position.lerp(sightPosition, smoothstep(this.adsAmount));
+        }
+        
+        this.model.position.y -= smoothstep(this.holsterAmount) * HOLSTER_DROP;
+    }
+    
+    startAiming() {
+        if (!this.isLoaded || !this.definition.ads) return;
+        this.isAiming = true;
+    }
+    
+    stopAiming() {
+        this.isAiming = false;
+    }
+    
+    // Scoped weapons swap the view model for the scope overlay once fully aimed
+    isScoped() {
+        return !!(this.definition.ads && this.definition.ads.scope) && this.adsAmount >= 0.95;
+    }
+    
+    // Move toward the sights (or back to the hip) and apply the zoom and sensitivity
+    updateAim(deltaTime) {
+        // Can't keep aiming with the pointer released (the mouseup may never arrive) or while dead
+        if (!document.pointerLockElement || this.isOwnerDead) {
+            this.isAiming = false;
+        }
+        
+        const ads = this.definition.ads;
+        const canAim = this.isAiming && ads && !this.switchState && !this.reloadState &&
+            !(this.player && this.player.isRunning);
+        const target = canAim ? 1 : 0;
+        if (this.adsAmount !== target) {
+            const step = deltaTime / ((ads && ads.time) || 0.2);
+            this.adsAmount = target > this.adsAmount
+                ? Math.min(1, this.adsAmount + step)
+                : Math.max(0, this.adsAmount - step);
+        }
+        
+        this.updateModelPosition();
+        if (this.model) {
+            this.model.visible = !this.isScoped();
+        }
+        
+        const amount = this.adsAmount;
+        const fov = ads ? THREE.MathUtils.lerp(this.hipFov, ads.fov, amount) : this.hipFov;
+        if (Math.abs(this.camera.fov - fov) > 0.001) {
+            this.camera.fov = fov;
+            this.camera.updateProjectionMatrix();
+        }
+        if (this.player) {
+            this.player.sensitivityMultiplier = ads ? THREE.MathUtils.lerp(1, ads.sensitivity, amount) : 1;
+        }
     }
     
     attachWeapon() {
@@ -323,12 +625,13 @@ export class Weapon {
         });
         
         // Position and scale the weapon
-        this.model.scale.set(0.3, 0.3, 0.3);
+        const modelScale = this.definition.modelScale ?? 0.3;
+        this.model.scale.set(modelScale, modelScale, modelScale);
         
         // Add muzzle flash to weapon
         if (this.muzzleFlash) {
             this.muzzleFlash.position.set(0.4, 0.2, -1.3);
-            this.muzzleFlash.rotateY(Math.PI);
+            this.muzzleFlash.rotation.y = Math.PI; // Absolute - this runs again on every weapon switch
             this.model.add(this.muzzleFlash);
         }
         
@@ -368,6 +671,7 @@ export class Weapon {
         
         // Ensure model is visible
         this.model.visible = true;
+        this.modelBasePosition.copy(this.model.position);
         
         console.log('Weapon attached at position:', this.model.position);
         console.log('Weapon scale:', this.model.scale);
@@ -399,6 +703,8 @@ export class Weapon {
             if (event.button === 0) { // Left mouse button
                 console.log('🔫 Left click detected, starting shooting...');
                 this.startShooting();
+            } else if (event.button === 2 && document.pointerLockElement) { // Right mouse button
+                this.startAiming();
             }
         });
         
@@ -407,11 +713,41 @@ export class Weapon {
             if (event.button === 0) {
                 console.log('🔫 Left click released, stopping shooting...');
                 this.stopShooting();
+            } else if (event.button === 2) {
+                this.stopAiming();
+            }
+        });
+        
+        // Right click is aim, not the browser menu
+        document.addEventListener('contextmenu', (event) => {
+            if (document.pointerLockElement) {
+                event.preventDefault();
             }
         });
         
-        // Reload key (R)
+        // Scroll wheel cycles weapons (only in game, so menus can still scroll)
+        document.addEventListener('wheel', (event) => {
+            if (!document.pointerLockElement || event.deltaY === 0) return;
+            
+            const now = performance.now();
+            if (now - this.lastWheelSwitch < 150) return; // One switch per wheel flick on touchpads
+            this.lastWheelSwitch = now;
+            this.cycleWeapon(event.deltaY > 0 ? 1 : -1);
+        });
+        
+        // Weapon keys: slot selection, reload, test shot
         document.addEventListener('keydown', (event) => {
+            // Number keys pick an inventory slot
+            if (event.code.startsWith('Digit') && !event.repeat) {
+                if (event.target && event.target.tagName === 'INPUT') return;
+                if (this.isInputBlockedByOverlay()) return;
+                const slotIndex = parseInt(event.code.slice(5), 10) - 1;
+                if (slotIndex >= 0) {
+                    this.switchWeapon(slotIndex);
+                }
+            }
+            
+            // Reload key (R)
             if (event.code === 'KeyR') {
                 console.log('🔄 Reload key pressed');
                 this.reload();
@@ -433,8 +769,7 @@ export class Weapon {
             console.log('❌ Weapon not loaded, cannot shoot');
             return;
         }
-        this.isShooting = true;
-        this.shootTimer = 0; // Allow immediate first shot
+        this.isShooting = true; // Fires as soon as the previous shot's cooldown is over
         console.log('✅ Shooting started, isShooting:', this.isShooting);
     }
     
@@ -447,14 +782,15 @@ export class Weapon {
     shoot() {
         console.log('🔫 SHOOT() called!');
         
-        // Only block shooting during loading/debug overlays, not network sync
-        if (window.inputBlocker && window.inputBlocker.isInputBlocked() && 
-            (window.inputBlocker.getBlockReasons().includes('loading') || 
-             window.inputBlocker.getBlockReasons().includes('debug'))) {
+        if (this.isInputBlockedByOverlay()) {
             console.log('🚫 Shooting blocked by overlay');
             return false;
         }
         
+        if (this.isOwnerDead || this.switchState || this.reloadState) {
+            return false;
+        }
+        
         if (this.magAmmo <= 0) {
             console.log('🔫 No ammo, reloading...');
             this.reload();
@@ -483,28 +819,41 @@ export class Weapon {
             targetColliders: this.targetColliders.size
         });
         
-        // No spread - bullets must follow crosshair exactly for precise hitbox collision
+        // Spread from movement, stance and sustained fire moves the shot inside the crosshair,
+        // shotgun pellets scatter around that
         shootDirection.normalize();
+        const aimDirection = this.applySpread(shootDirection, this.getCurrentSpread());
         
-        const bullet = this.createBulletTrail(muzzlePos, shootDirection);
-        console.log('🔫 Bullet created:', bullet);
+        const pellets = this.definition.pellets || 1;
+        for (let i = 0; i < pellets; i++) {
+            const direction = this.applySpread(aimDirection, this.definition.pelletSpread || 0);
+            this.createBulletTrail(muzzlePos, direction);
+            
+            // Send shooting event to server for multiplayer (one per pellet, each can hit)
+            if (this.networkManager && this.networkManager.isConnected) {
+                this.networkManager.sendPlayerShoot({
+                    position: {
+                        x: muzzlePos.x,
+                        y: muzzlePos.y,
+                        z: muzzlePos.z
+                    },
+                    direction: {
+                        x: direction.x,
+                        y: direction.y,
+                        z: direction.z
+                    },
+                    weapon: this.weaponId
+                });
+            }
+            
+            // Once per pellet, like the shots the server counts, so hits never outnumber shots
+            if (this.onShoot) {
+                this.onShoot(muzzlePos, direction);
+            }
+        }
         console.log('🔫 Active bullets count:', this.activeBullets.length);
         
-        // Send shooting event to server for multiplayer
-        if (this.networkManager && this.networkManager.isConnected) {
-            this.networkManager.sendPlayerShoot({
-                position: {
-                    x: muzzlePos.x,
-                    y: muzzlePos.y,
-                    z: muzzlePos.z
-                },
-                direction: {
-                    x: shootDirection.x,
-                    y: shootDirection.y,
-                    z: shootDirection.z
-                }
-            });
-        }
+        this.applyRecoil();
         
         // Play sound
         if (this.shootSound && this.shootSound.buffer) {
@@ -596,6 +945,10 @@ export class Weapon {
         console.log('🎯 Target health:', target.userData.health);
         console.log('🎯 Weapon damage:', this.damage);
         
+        // Head shots and the like - the server checks the zone against its own copy of the hitboxes
+        const zone = hitInfo.zone || 'body';
+        const damage = this.getHitDamage(target, zone);
+        
         // Send target hit event for multiplayer synchronization
         if (this.networkManager && this.networkManager.isConnected && target.userData.targetId) {
             const hitData = {
@@ -605,7 +958,8 @@ export class Weapon {
                     y: hitInfo.point.y,
                     z: hitInfo.point.z
                 },
-                damage: this.damage || 25, // Use weapon damage or default
+                damage: damage,
+                zone: zone,
                 playerId: this.networkManager.playerId
             };
             
@@ -623,10 +977,41 @@ export class Weapon {
         // This ensures responsive gameplay for the shooting player
         if (target.userData.onHit) {
             // Pass the actual damage to the hit handler
-            const hitInfoWithDamage = { ...hitInfo, damage: this.damage || 25 };
+            const hitInfoWithDamage = { ...hitInfo, damage: damage, zone: zone };
             // Don't send to network since we already sent it above
             target.userData.onHit(hitInfoWithDamage, false);
         }
+        
+        if (this.onHitMarker) {
+            this.onHitMarker(zone);
+        }
+    }
+    
+    // Weapon damage times the multiplier of the zone that was hit
+    getHitDamage(target, zone) {
+        return Math.round((this.damage || 25) * Hitboxes.getMultiplier(target.userData.hitZones, zone));
+    }
+    
+    onPlayerHit(playerMesh, hitInfo) {
+        const zone = hitInfo.zone || 'body';
+        console.log(`⚔️ Player hit via collider! (${zone})`, playerMesh.userData.playerId);
+        
+        // Server validates the hit and zone and applies the damage
+        if (this.networkManager && this.networkManager.isConnected) {
+            this.networkManager.sendPlayerHit({
+                targetPlayerId: playerMesh.userData.playerId,
+                hitPoint: {
+                    x: hitInfo.point.x,
+                    y: hitInfo.point.y,
+                    z: hitInfo.point.z
+                },
+                zone: zone
+            });
+        }
+        
+        if (this.onHitMarker) {
+            this.onHitMarker(zone);
+        }
     }
     
     showMuzzleFlash() {
@@ -655,14 +1040,133 @@ export class Weapon {
         this.flashTimer = this.flashDuration;
     }
     
-    reload() {
-        if (this.magAmmo >= this.maxAmmo || this.totalAmmo <= 0) return;
+    // Random direction inside a cone around `direction`; `spread` is the cone's radius at
+    // distance 1 (tangent of its half angle), evenly distributed over the cone's cross-section
+    applySpread(direction, spread) {
+        const result = direction.clone();
+        if (spread <= 0) return result;
+        
+        const helper = Math.abs(direction.y) < 0.99 ? new THREE.Vector3(0, 1, 0) : new THREE.Vector3(1, 0, 0);
+        const side = new THREE.Vector3().crossVectors(direction, helper).normalize();
+        const up = new THREE.Vector3().crossVectors(side, direction).normalize();
+        const angle = Math.random() * Math.PI * 2;
+        const radius = Math.sqrt(Math.random()) * spread;
+        
+        result.addScaledVector(side, Math.cos(angle) * radius);
+        result.addScaledVector(up, Math.sin(angle) * radius);
+        return result.normalize();
+    }
+    
+    // Current spread (cone radius at distance 1) from movement, stance and bloom
+    getCurrentSpread() {
+        const accuracy = this.definition.accuracy;
+        if (!accuracy) return 0;
+        
+        let spread = accuracy.base;
+        const player = this.player;
+        if (player) {
+            const speed = Math.sqrt(player.velocity.x * player.velocity.x + player.velocity.z * player.velocity.z);
+            if (!player.canJump) {
+                spread += accuracy.airborne;
+            } else if (player.isRunning && speed > 0.5) {
+                spread += accuracy.running;
+            } else if (speed > 0.5) {
+                spread += accuracy.moving;
+            }
+            if (player.isCrouching) {
+                spread *= accuracy.crouchMultiplier;
+            }
+        }
+        spread += this.bloom;
         
-        const bulletsNeeded = this.maxAmmo - this.magAmmo;
-        const bulletsToReload = Math.min(bulletsNeeded, this.totalAmmo);
+        // Aiming down sights steadies the weapon
+        const ads = this.definition.ads;
+        if (ads) {
+            spread *= THREE.MathUtils.lerp(1, ads.spreadMultiplier, this.adsAmount);
+        }
+        return spread;
+    }
+    
+    // Kick the view along the weapon's recoil pattern and grow the bloom
+    applyRecoil() {
+        const now = performance.now();
+        const recoil = this.definition.recoil;
+        const accuracy = this.definition.accuracy;
+        
+        if (accuracy) {
+            this.bloom = Math.min(accuracy.maxBloom, this.bloom + accuracy.bloomPerShot);
+        }
         
-        this.magAmmo += bulletsToReload;
-        this.totalAmmo -= bulletsToReload;
+        if (recoil && this.player) {
+            // A new spray starts the pattern over
+            if (now - this.lastShotTime > recoil.resetTime * 1000) {
+                this.recoilIndex = 0;
+            }
+            
+            // Pattern entries are [up, right] in degrees; past the end keep the last kick with random sway
+            const pattern = recoil.pattern;
+            let [up, right] = pattern[Math.min(this.recoilIndex, pattern.length - 1)];
+            if (this.recoilIndex >= pattern.length) {
+                right *= Math.random() < 0.5 ? -1 : 1;
+            }
+            
+            const pitch = THREE.MathUtils.degToRad(up);
+            const yaw = -THREE.MathUtils.degToRad(right); // Positive yaw turns left
+            this.player.addLookRotation(pitch, yaw);
+            this.recoilOffset.pitch += pitch;
+            this.recoilOffset.yaw += yaw;
+            this.recoilIndex++;
+        }
+        
+        this.lastShotTime = now;
+    }
+    
+    // Bloom shrinks all the time, the view drifts back once the trigger rests
+    updateRecoil(deltaTime) {
+        const accuracy = this.definition.accuracy;
+        if (accuracy) {
+            this.bloom = Math.max(0, this.bloom - accuracy.bloomRecovery * deltaTime);
+        }
+        
+        const recoil = this.definition.recoil;
+        const offset = this.recoilOffset;
+        const remaining = Math.sqrt(offset.pitch * offset.pitch + offset.yaw * offset.yaw);
+        if (!recoil || !this.player || remaining === 0) return;
+        if (performance.now() - this.lastShotTime < (this.fireRate + 0.05) * 1000) return;
+        
+        const step = Math.min(remaining, THREE.MathUtils.degToRad(recoil.recovery) * deltaTime);
+        const pitch = -offset.pitch * (step / remaining);
+        const yaw = -offset.yaw * (step / remaining);
+        this.player.addLookRotation(pitch, yaw);
+        offset.pitch += pitch;
+        offset.yaw += yaw;
+    }
+    
+    // The player pulling against the recoil uses up the part of it we'd otherwise recover
+    compensateRecoil(pitchDelta) {
+        if (this.recoilOffset.pitch > 0 && pitchDelta < 0) {
+            this.recoilOffset.pitch = Math.max(0, this.recoilOffset.pitch + pitchDelta);
+        }
+    }
+    
+    // Shooting, switching and reloading are off while loading/debug/reconnect overlays are up (not during network sync)
+    isInputBlockedByOverlay() {
+        if (!window.inputBlocker || !window.inputBlocker.isInputBlocked()) return false;
+        
+        const reasons = window.inputBlocker.getBlockReasons();
+        return reasons.includes('loading') || reasons.includes('debug') || reasons.includes('reconnecting');
+    }
+    
+    // Start reloading; the magazine is filled once the reload has run its full time. A tactical
+    // reload (round still chambered) is quicker than reloading an empty weapon.
+    reload() {
+        if (this.magAmmo >= this.maxAmmo || this.totalAmmo <= 0) return false;
+        if (this.reloadState || this.switchState || this.isOwnerDead) return false;
+        
+        const reload = this.definition.reload;
+        const type = this.magAmmo > 0 ? 'tactical' : 'empty';
+        this.isShooting = false;
+        this.reloadState = { type, elapsed: 0, duration: reload[type], nextCue: 0 };
         
         // Play reload animation
         if (this.animations.reload) {
@@ -670,12 +1174,115 @@ export class Weapon {
             this.animations.reload.action.play();
         }
         
+        console.log(`🔄 ${type === 'tactical' ? 'Tactical reload' : 'Reloading'} ${this.definition.name} (${reload[type]}s)`);
+        this.notifyReload('start', type);
+        return true;
+    }
+    
+    // Stop a reload before the magazine goes in (switching weapons, sprinting, dying)
+    cancelReload(reason) {
+        if (!this.reloadState) return;
+        
+        const type = this.reloadState.type;
+        this.reloadState = null;
+        if (this.animations.reload) {
+            this.animations.reload.action.stop();
+        }
+        if (this.reloadSound && this.reloadSound.isPlaying) {
+            this.reloadSound.stop();
+        }
+        
+        console.log(`⛔ Reload cancelled (${reason})`);
+        this.notifyReload('cancel', type);
+    }
+    
+    isReloading() {
+        return this.reloadState !== null;
+    }
+    
+    // 0-1 through the current reload, null when not reloading
+    getReloadProgress() {
+        if (!this.reloadState) return null;
+        return Math.min(1, this.reloadState.elapsed / this.reloadState.duration);
+    }
+    
+    updateReload(deltaTime) {
+        const state = this.reloadState;
+        if (!state) return;
+        
+        // Sprinting puts the reload away
+        const player = this.player;
+        if (player && player.isRunning) {
+            const speed = Math.sqrt(player.velocity.x * player.velocity.x + player.velocity.z * player.velocity.z);
+            if (speed > 0.5) {
+                this.cancelReload('sprint');
+                return;
+            }
+        }
+        if (this.isOwnerDead) {
+            this.cancelReload('dead');
+            return;
+        }
+        
+        state.elapsed += deltaTime;
+        
+        // Sound cues are placed at fractions of the reload, so they fit both reload times
+        const cues = this.definition.reload.sounds || [];
+        const progress = state.elapsed / state.duration;
+        while (state.nextCue < cues.length && cues[state.nextCue].at <= progress) {
+            const cue = cues[state.nextCue++];
+            if (!cue.empty || state.type === 'empty') {
+                this.playReloadCue(cue, state);
+            }
+        }
+        
+        if (state.elapsed >= state.duration) {
+            this.finishReload();
+        }
+    }
+    
+    playReloadCue(cue, state) {
+        if (!this.reloadSound) return;
+        
+        this.loadSound(cue.sound).then((buffer) => {
+            // Skip cues that finished loading after the reload ended
+            if (!buffer || this.reloadState !== state) return;
+            if (this.reloadSound.isPlaying) {
+                this.reloadSound.stop();
+            }
+            this.reloadSound.setBuffer(buffer);
+            this.reloadSound.setVolume(cue.volume ?? 0.2);
+            this.reloadSound.setPlaybackRate(cue.rate ?? 1);
+            this.reloadSound.play();
+        });
+    }
+    
+    finishReload() {
+        const bulletsNeeded = this.maxAmmo - this.magAmmo;
+        const bulletsToReload = Math.min(bulletsNeeded, this.totalAmmo);
+        
+        this.magAmmo += bulletsToReload;
+        this.totalAmmo -= bulletsToReload;
+        const type = this.reloadState ? this.reloadState.type : null;
+        this.reloadState = null;
+        
         // Update HUD
         if (this.onAmmoChange) {
             this.onAmmoChange(this.magAmmo, this.totalAmmo);
         }
         
         console.log(`Reloaded! Mag: ${this.magAmmo}, Total: ${this.totalAmmo}`);
+        this.notifyReload('finish', type);
+    }
+    
+    // Tell the HUD and the other players (they play a reload animation for the same time)
+    notifyReload(state, type) {
+        if (this.onReloadChange) {
+            this.onReloadChange(state, type);
+        }
+        if (this.networkManager && this.networkManager.isConnected) {
+            this.networkManager.sendPlayerReload({ state, type, weapon: this.weaponId });
+        }
     }
     
     createBulletTrail(startPos, direction) {
@@ -872,98 +1479,84 @@ export class Weapon {
     }
     
     checkBulletColliderCollision(bullet, prevPosition) {
-        // SIMPLIFIED INDUSTRY-STANDARD APPROACH
-        // Use distance-based collision detection for reliability
+        // Swept test: the path the bullet moved along this frame against each target's hitboxes
+        // (in the target's own space), so fast bullets can't skip through a target and shots
+        // past the model don't count. Targets without hitboxes fall back to their hit sphere.
         
         // Less frequent collision debug logging
         if (!this.collisionCheckCounter) this.collisionCheckCounter = 0;
         this.collisionCheckCounter++;
         if (this.collisionCheckCounter % 180 === 0) { // Only log every 3 seconds at 60fps
-            console.log('🔍 Checking bullet collision (distance-based method)');
+            console.log('🔍 Checking bullet collision (swept hitbox method)');
         }
         
-        // Check collision with each target using distance method
-        let hit = false;
         const currentPos = bullet.mesh.position;
+        const path = new THREE.Line3(prevPosition, currentPos);
+        const closest = new THREE.Vector3();
+        let best = null; // The first thing along the path wins
         
         this.targetColliders.forEach((collider, target) => {
-            if (hit) return; // Already hit something
+            // Dead players and teammates (friendly fire off) can't be hit
+            if (target.userData.isDead || target.userData.isFriendly) return;
+            if (target.userData.isTarget && target.userData.locallyDestroyed) return;
             
-            // Primary collision: Distance-based detection
-            const distance = currentPos.distanceTo(collider.position);
-            const hitRadius = 3; // Target hit radius
+            // Cheap rejection first: the path has to pass within the target's hit radius
+            const hitRadius = collider.userData.hitRadius || 3; // Target hit radius
+            path.closestPointToPoint(collider.position, true, closest);
+            if (closest.distanceTo(collider.position) > hitRadius) return;
             
-            if (distance <= hitRadius) {
-                console.log('🎯 DISTANCE HIT!', {
-                    target: target.userData.targetId,
-                    bulletPos: currentPos,
-                    targetPos: target.position,
-                    colliderPos: collider.position,
-                    distance: distance,
-                    hitRadius: hitRadius
-                });
-                
-                // Create hit data
-                const hitData = {
-                    point: currentPos.clone(),
-                    face: { normal: new THREE.Vector3(0, 1, 0) },
-                    object: collider,
-                    distance: distance
-                };
-                
-                // Trigger target hit
-                if (target.userData.isTarget && !target.userData.locallyDestroyed) {
-                    this.onTargetHit(target, hitData);
-                }
-                
-                // Remove bullet
-                this.removeDebugHelper(bullet.mesh);
-                this.scene.remove(bullet.mesh);
-                const bulletIndex = this.activeBullets.indexOf(bullet);
-                if (bulletIndex > -1) {
-                    this.activeBullets.splice(bulletIndex, 1);
-                }
-                
-                hit = true;
-                return;
+            let hit;
+            const hitboxes = target.userData.hitboxes;
+            if (hitboxes && hitboxes.length > 0) {
+                target.updateMatrixWorld();
+                const start = target.worldToLocal(prevPosition.clone());
+                const end = target.worldToLocal(currentPos.clone());
+                hit = Hitboxes.intersectSegment(hitboxes, start, end);
+            } else {
+                hit = { zone: 'body', t: path.closestPointToPointParameter(collider.position, true) };
             }
             
-            if (distance < hitRadius) {
-                console.log('🎯 DISTANCE HIT!', {
-                    target: target.userData.targetId,
-                    distance: distance,
-                    hitRadius: hitRadius,
-                    bulletPos: currentPos,
-                    targetPos: target.position
-                });
-                
-                // Create hit data
-                const hitData = {
-                    point: currentPos.clone(),
-                    face: { normal: new THREE.Vector3(0, 1, 0) },
-                    object: collider,
-                    distance: distance
-                };
-                
-                // Trigger target hit
-                if (target.userData.isTarget && !target.userData.locallyDestroyed) {
-                    this.onTargetHit(target, hitData);
-                }
-                
-                // Remove bullet
-                this.removeDebugHelper(bullet.mesh);
-                this.scene.remove(bullet.mesh);
-                const bulletIndex = this.activeBullets.indexOf(bullet);
-                if (bulletIndex > -1) {
-                    this.activeBullets.splice(bulletIndex, 1);
-                }
-                
-                hit = true;
-                return;
+            if (hit && (!best || hit.t < best.t)) {
+                best = { target, collider, zone: hit.zone, t: hit.t };
             }
         });
         
-        return hit;
+        if (!best) return false;
+        
+        const { target, collider, zone } = best;
+        const point = prevPosition.clone().lerp(currentPos, best.t);
+        
+        console.log(`🎯 HITBOX HIT! (${zone})`, {
+            target: target.userData.targetId || target.userData.playerId,
+            hitPoint: point,
+            targetPos: target.position
+        });
+        
+        // Create hit data
+        const hitData = {
+            point: point,
+            face: { normal: new THREE.Vector3(0, 1, 0) },
+            object: collider,
+            distance: point.distanceTo(collider.position),
+            zone: zone
+        };
+        
+        // Trigger target hit
+        if (target.userData.isTarget) {
+            this.onTargetHit(target, hitData);
+        } else if (target.userData.isPlayerTarget) {
+            this.onPlayerHit(target, hitData);
+        }
+        
+        // Remove bullet
+        this.removeDebugHelper(bullet.mesh);
+        this.scene.remove(bullet.mesh);
+        const bulletIndex = this.activeBullets.indexOf(bullet);
+        if (bulletIndex > -1) {
+            this.activeBullets.splice(bulletIndex, 1);
+        }
+        
+        return true;
     }
     
     createBulletCollider(bullet) {
@@ -1013,6 +1606,9 @@ export class Weapon {
         const collider = new THREE.Mesh(colliderGeometry, colliderMaterial);
         collider.userData.isTargetCollider = true;
         collider.userData.parentTarget = target;
+        if (target.userData.hitRadius) {
+            collider.userData.hitRadius = target.userData.hitRadius; // Per target type, same as the server
+        }
         
         // Position collider at target's position (center it properly)
         collider.position.copy(target.position);
@@ -1066,6 +1662,28 @@ export class Weapon {
         console.log('Target registered with collider:', target);
     }
     
+    // Register a remote player as hittable (PvP rooms)
+    registerPlayerTarget(playerMesh, playerId) {
+        playerMesh.userData.isPlayerTarget = true;
+        playerMesh.userData.playerId = playerId;
+        
+        // Head and body boxes from the player mesh (name tag, outline and weapon are left out)
+        playerMesh.userData.hitboxes = Hitboxes.fromObject(playerMesh, PLAYER_HIT_ZONES);
+        playerMesh.userData.hitZones = PLAYER_HIT_ZONES;
+        
+        const collider = this.createTargetCollider(playerMesh, { width: 1, height: 2, depth: 1 });
+        // Big enough to hold every hitbox (corners of the head included), so the cheap radius check
+        // never drops a shot the boxes would take - PVP_CONFIG.playerHitRadius is worked out the same way
+        collider.userData.hitRadius = Hitboxes.getRadius(playerMesh.userData.hitboxes);
+        
+        console.log('⚔️ Remote player registered as PvP target:', playerId);
+    }
+    
+    unregisterPlayerTarget(playerMesh) {
+        this.removeTargetCollider(playerMesh);
+        playerMesh.userData.isPlayerTarget = false;
+    }
+    
     // Public method to unregister a target
     unregisterTarget(target) {
         this.removeTargetCollider(target);
@@ -1077,8 +1695,10 @@ export class Weapon {
         console.log('🧹 Clearing all target colliders...');
         console.log(`🧹 Before clear: ${this.targetColliders.size} colliders`);
         
-        // Remove all colliders from scene and clear the map
+        // Remove all target colliders from scene (remote players keep theirs)
         this.targetColliders.forEach((collider, target) => {
+            if (target.userData.isPlayerTarget) return;
+            
             if (collider && collider.parent) {
                 this.scene.remove(collider);
             }
@@ -1088,9 +1708,9 @@ export class Weapon {
             if (collider && collider.material) {
                 collider.material.dispose();
             }
+            this.targetColliders.delete(target);
         });
         
-        this.targetColliders.clear();
         console.log(`🧹 After clear: ${this.targetColliders.size} colliders`);
     }
 
@@ -1229,6 +1849,18 @@ export class Weapon {
         // Update bullet trails
         this.updateBullets(deltaTime);
         
+        // Draw/holster transition
+        this.updateSwitch(deltaTime);
+        
+        // Recoil recovery and bloom
+        this.updateRecoil(deltaTime);
+        
+        // Aim down sights
+        this.updateAim(deltaTime);
+        
+        // Reload progress, sound cues and interruptions
+        this.updateReload(deltaTime);
+        
         // Update target colliders
         this.updateTargetColliders();
         
@@ -1237,6 +1869,9 @@ export class Weapon {
             console.log('🔫 Attempting to shoot...');
             if (this.shoot()) {
                 this.shootTimer = this.fireRate;
+                if (this.definition.fireMode !== 'auto') {
+                    this.isShooting = false; // Semi-automatic: one shot per click
+                }
                 console.log('✅ Shot fired, next shot in:', this.fireRate);
             } else {
                 console.log('❌ Shot failed');
@@ -1293,6 +1928,12 @@ export class Weapon {
             rollInfluence *= 0.5;
         }
         
+        // Aiming down sights lines the weapon up with the view
+        const ads = this.adsAmount;
+        pitchInfluence = THREE.MathUtils.lerp(pitchInfluence, 1, ads);
+        yawInfluence *= 1 - ads;
+        rollInfluence *= 1 - ads;
+        
         // Calculate yaw movement speed for dynamic roll effect using direct rotation values
         const yawDelta = yawRotation - (this.lastCameraRotation.y || 0);
         const rollFromYaw = yawDelta * rollInfluence * 50; // Scale for visible effect
@@ -1317,6 +1958,7 @@ export class Weapon {
         } else if (this.player.isCrouching) {
             lerpFactor *= 0.7; // Slower, more stable when crouching
         }
+        lerpFactor = THREE.MathUtils.lerp(lerpFactor, 0.5, ads); // Sights track the view tightly
         
         this.model.rotation.x = THREE.MathUtils.lerp(this.model.rotation.x, targetRotation.x, lerpFactor);
         this.model.rotation.y = THREE.MathUtils.lerp(this.model.rotation.y, targetRotation.y, lerpFactor);